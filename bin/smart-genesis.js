@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+const inquirer = require('inquirer');
+const dotenv = require('dotenv');
+const { parseArgs } = require('../lib/options');
+const { printPlan } = require('../lib/executor');
+const { readConfig } = require('../lib/config');
+const { loadStackPlugins } = require('../lib/stacks');
+const { formatToolCheck } = require('../lib/doctor');
+const { scaffold, add, upgrade, doctor } = require('..');
+dotenv.config();
+
+// `smart-genesis doctor`: print the checks and fail when anything is missing.
+async function runDoctor(options) {
+    const { tools, problems, existing } = await doctor(options);
+    console.log('[Smart Genesis] Tools:');
+    tools.forEach(result => console.log(formatToolCheck(result)));
+    for (const dir of existing) {
+        console.log(`[Smart Genesis] ${dir} already exists and is not empty. Scaffolding will ask whether to merge into it or overwrite it (--on-dir-exists).`);
+    }
+    if (problems.length > 0) {
+        throw new Error(`${problems.length} problem${problems.length === 1 ? '' : 's'} found:\n  - ${problems.join('\n  - ')}`);
+    }
+    console.log('[Smart Genesis] Everything the project needs is in place.');
+}
+
+function reportFailure(error, task) {
+    console.error(`[Smart Genesis] Error ${task}: ${error.message}`);
+    if (error.kept && error.kept.length > 0) {
+        console.error('[Smart Genesis] Keeping partial output because of --keep-on-failure:');
+        error.kept.forEach(createdPath => console.error(`  ${createdPath}`));
+    }
+    (error.backups || []).forEach(({ path, backup }) => console.error(`[Smart Genesis] The previous ${path} was moved to ${backup}.`));
+    if (error.removed && error.removed.length > 0) {
+        console.error('[Smart Genesis] Rolled back the partially scaffolded project:');
+        error.removed.forEach(removedPath => console.error(`  removed ${removedPath}`));
+    }
+    if (error.repositories && error.repositories.length > 0) {
+        console.error('[Smart Genesis] Warning: these repositories were already created and are not deleted by the rollback:');
+        error.repositories.forEach(url => console.error(`  ${url}`));
+    }
+}
+
+async function main() {
+    let task = 'generating project';
+    try {
+        // Plugin stacks are loaded first so --help lists them.
+        const config = readConfig();
+        loadStackPlugins(config);
+        const { answers, command, json, ...flags } = parseArgs(process.argv);
+        if (json && !flags.dryRun) {
+            throw new Error('Invalid options:\n  - --json is only supported together with --dry-run.');
+        }
+        const options = {
+            ...flags,
+            answers,
+            config,
+            prompt: process.stdin.isTTY ? inquirer.createPromptModule() : null,
+            verbose: true,
+            quiet: json
+        };
+        if (command && command.name === 'doctor') {
+            task = 'checking the setup';
+            await runDoctor(options);
+            return;
+        }
+        let result;
+        if (command && command.name === 'add') {
+            task = `adding ${command.feature}`;
+            result = await add(command.feature, { ...options, diff: command.diff, force: command.force });
+        } else if (command) {
+            task = 'upgrading templates';
+            result = await upgrade({ ...options, diff: command.diff });
+        } else {
+            result = await scaffold(options);
+        }
+        if (result.dryRun) {
+            printPlan(result.steps, { json, answers: result.answers });
+        }
+    } catch (error) {
+        reportFailure(error, task);
+        process.exitCode = 1;
+    }
+}
+
+main();
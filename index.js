@@ -1,616 +1,744 @@
-#!/usr/bin/env node
-const inquirer = require('inquirer');
-const handlebars = require('handlebars');
 const fs = require('fs-extra');
 const path = require('path');
-const { execSync } = require('child_process');
-const axios = require('axios');
-const open = require('open').default;
-const dotenv = require('dotenv');
-dotenv.config();
-
-const prompt = inquirer.createPromptModule();
-
-function normalizeProjectNameForDjango(name) {
-    // Convert to lowercase
-    let normalized = name.toLowerCase();
-    // Replace hyphens and spaces with underscores
-    normalized = normalized.replace(/[-\s]+/g, '_');
-    // Remove any character that is not alphanumeric or underscore
-    normalized = normalized.replace(/[^a-z0-9_]/g, '');
-    // Ensure it doesn't start with a number: prepend an underscore if it does
-    if (/^[0-9]/.test(normalized)) {
-        normalized = '_' + normalized;
-    }
-    return normalized;
-}
-
-async function promptUser() {
-    const common = await prompt([
-        {
-            type: 'input',
-            name: 'projectName',
-            message: 'Enter your project name:',
-            default: 'my-awesome-project'
-        },
+const {
+    projectQuestions,
+    gitQuestions,
+    normalizeAnswers,
+    validateAnswers,
+    applyDefaults,
+    missingAnswers
+} = require('./lib/options');
+const { createExecutor } = require('./lib/executor');
+const { readConfig } = require('./lib/config');
+const { loadStackPlugins } = require('./lib/stacks');
+const { repoOptions, createRepository, licenseText, protectBranch } = require('./lib/providers');
+const { AUTH_METHODS, authSettings, getAccessToken } = require('./lib/auth');
+const { dockerFiles } = require('./lib/docker');
+const { ciFiles } = require('./lib/ci');
+const { detectPackageManager } = require('./lib/package-manager');
+const { requiredTools, repositoryTools, checkTools, toolProblems, existingTargets } = require('./lib/doctor');
+const { scaffoldStack } = require('./lib/scaffold');
+const { overlayContext } = require('./lib/readme');
+const { projectApps, withConnection } = require('./lib/layout');
+const { getFeature, featureNames } = require('./lib/features');
+const {
+    PROJECT_MANIFEST,
+    contentHash,
+    touchedFiles,
+    toPosix,
+    isInside,
+    fileHashes,
+    projectManifest,
+    findProjectManifest,
+    planChanges,
+    mergeContent,
+    changeDiff
+} = require('./lib/project');
+const { workspaceSetup } = require('./lib/workspace');
+const {
+    templateDirs,
+    loadTemplateSets,
+    overlayTargets,
+    templatePrompts,
+    renderTemplateSets,
+    resolveDestination
+} = require('./lib/templates');
+
+function assertValid(errors) {
+    if (errors.length > 0) {
+        throw new Error(`Invalid options:\n  - ${errors.join('\n  - ')}`);
+    }
+}
+
+// Ask only for the values that were not provided by flags or an answers file. Without
+// `options.prompt` nothing can be asked, so every value must be given.
+async function askQuestions(questions, preset, options) {
+    if (options.yes) {
+        return applyDefaults(questions, preset);
+    }
+    if (!options.prompt) {
+        const missing = missingAnswers(questions, preset);
+        if (missing.length > 0) {
+            throw new Error(`Missing values for: ${missing.join(', ')}. Pass them as flags or in --answers, or use --yes to accept the defaults.`);
+        }
+        return applyDefaults(questions, preset);
+    }
+    return options.prompt(questions, preset);
+}
+
+async function promptUser(preset, options) {
+    const answers = await askQuestions(projectQuestions(), preset, options);
+    assertValid(validateAnswers(answers));
+    return answers;
+}
+
+// What to do with a target directory that is not empty: 'merge', 'overwrite' or 'abort'.
+// Only directories can be merged into.
+async function existingDirAction(dir, options) {
+    const canMerge = fs.statSync(dir).isDirectory();
+    if (options.onDirExists) {
+        return options.onDirExists === 'merge' && !canMerge ? 'abort' : options.onDirExists;
+    }
+    if (options.yes || !options.prompt) {
+        return 'abort';
+    }
+    const { action } = await options.prompt([
         {
             type: 'list',
-            name: 'projectType',
-            message: 'Select the type of project:',
-            choices: ['Web App', 'API', 'CLI Tool'],
-            default: 'Web App'
-        },
-        {
-            type: 'input',
-            name: 'description',
-            message: 'Enter a short project description (optional):',
-            default: ''
+            name: 'action',
+            message: `${dir} already exists and is not empty. What would you like to do?`,
+            choices: [
+                ...(canMerge ? [{ name: 'Merge: scaffold into it, replacing files with the same names', value: 'merge' }] : []),
+                { name: 'Overwrite: delete it first', value: 'overwrite' },
+                { name: 'Abort', value: 'abort' }
+            ]
         }
     ]);
+    return action;
+}
 
-    if (common.projectType === 'Web App') {
-        const webQuestions = await prompt([
-            {
-                type: 'list',
-                name: 'frontendFramework',
-                message: 'Select your frontend framework:',
-                choices: ['Next.js', 'React', 'Vite'],
-                default: 'Next.js'
-            },
-            {
-                type: 'confirm',
-                name: 'includeBackend',
-                message: 'Do you need a backend?',
-                default: true
-            },
-            {
-                type: 'list',
-                name: 'backendFramework',
-                message: 'Select your backend framework:',
-                choices: ['Nest.js', 'Python (Django)', 'Python (Flask)', 'Python (FastAPI)'],
-                when: answers => answers.includeBackend
-            },
-            {
-                type: 'list',
-                name: 'repoStructure',
-                message: 'Do you want a monorepo or separate repositories for frontend and backend?',
-                choices: ['Monorepo', 'Separate Repos'],
-                when: answers => answers.includeBackend
-            },
-            {
-                type: 'confirm',
-                name: 'useTypeScript',
-                message: 'Would you like to use TypeScript for your frontend?',
-                default: true,
-                when: answers => common.frontendFramework === 'Next.js'
-            }
-        ]);
-        return { ...common, ...webQuestions };
+// Check before anything is created that the tools the answers need are installed in the required
+// versions (a dry run only warns) and that the target directories are free. Directories that are
+// not empty are merged into or overwritten when the user says so.
+async function preflight(answers, options, executor) {
+    const problems = toolProblems(checkTools(requiredTools(answers), executor));
+    if (problems.length > 0 && !executor.dryRun) {
+        throw new Error(`Missing requirements:\n  - ${problems.join('\n  - ')}\nRun smart-genesis doctor to check your setup.`);
+    }
+    problems.forEach(problem => executor.log(`[Smart Genesis] Warning: ${problem}`));
+    for (const dir of existingTargets(answers, options.cwd)) {
+        const action = await existingDirAction(dir, options);
+        if (action === 'overwrite') {
+            executor.remove(dir);
+            executor.log(`[Smart Genesis] Moved ${dir} aside to scaffold the project in its place; it is deleted once the project is generated.`);
+        } else if (action === 'merge') {
+            executor.log(`[Smart Genesis] Scaffolding into the existing ${dir}.`);
+        } else {
+            throw new Error(`${dir} already exists. Choose another project name, or pass --on-dir-exists merge or overwrite.`);
+        }
     }
+}
 
-    if (common.projectType === 'API') {
-        const apiQuestions = await prompt([
-            {
-                type: 'list',
-                name: 'apiFramework',
-                message: 'Select your API framework:',
-                choices: ['Nest.js', 'Python (Django)', 'Python (Flask)', 'Python (FastAPI)'],
-                default: 'Nest.js'
-            }
-        ]);
-        return { ...common, ...apiQuestions };
+// --- Scaffolding Functions ---
+async function scaffoldMonorepo(context, executor, cwd) {
+    const projectDir = path.join(cwd, context.projectName);
+    executor.ensureDir(projectDir);
+    const appsDir = path.join(projectDir, 'apps');
+    executor.ensureDir(appsDir);
+
+    // The workspace root exists before the apps, so package managers run by the generators
+    // already install into the shared workspace.
+    const workspace = workspaceSetup(context, projectApps(context, cwd), projectDir, executor);
+    for (const [file, content] of Object.entries(workspace.files)) {
+        executor.writeFile(path.join(projectDir, file), content);
     }
 
-    if (common.projectType === 'CLI Tool') {
-        const cliQuestions = await prompt([
-            {
-                type: 'list',
-                name: 'cliLanguage',
-                message: 'Select your preferred language for the CLI tool:',
-                choices: ['Node.js', 'Bash', 'Python'],
-                default: 'Node.js'
-            }
-        ]);
-        return { ...common, ...cliQuestions };
+    scaffoldStack(context.frontendFramework, context, path.join(appsDir, 'frontend'), executor, { workspace: true });
+    if (context.includeBackend) {
+        scaffoldStack(context.backendFramework, context, path.join(appsDir, 'backend'), executor, { workspace: true });
+    }
+
+    for (const app of workspace.apps) {
+        if (app.packageJson) {
+            executor.writeFile(path.join(app.dir, 'package.json'), app.packageJson);
+        } else if (Object.keys(app.scripts).length > 0) {
+            executor.updateJson(path.join(app.dir, 'package.json'), pkg => ({ ...pkg, scripts: { ...pkg.scripts, ...app.scripts } }));
+        }
     }
+    executor.run(workspace.install, projectDir);
 
-    return common;
+    executor.log(`[Smart Genesis] Monorepo structure for "${context.projectName}" has been created.`);
 }
 
-function runCommand(command, cwd = process.cwd()) {
-    try {
-        console.log(`Running: ${command} in ${cwd}`);
-        execSync(command, { stdio: 'inherit', cwd });
-    } catch (error) {
-        console.error(`Error executing command: ${command}\n`, error);
-        process.exit(1);
+async function scaffoldSeparateRepos(context, executor, cwd) {
+    scaffoldStack(context.frontendFramework, context, path.join(cwd, `${context.projectName}-frontend`), executor);
+    if (context.includeBackend) {
+        scaffoldStack(context.backendFramework, context, path.join(cwd, `${context.projectName}-backend`), executor);
     }
-}
 
-function renderTemplate(templatePath, context) {
-    const templateContent = fs.readFileSync(templatePath, 'utf-8');
-    const template = handlebars.compile(templateContent);
-    return template(context);
+    executor.log(`[Smart Genesis] Separate repositories have been created for "${context.projectName}".`);
 }
 
-function createPythonRequirements(backendFramework, targetDir) {
-    let requirements = '';
-    if (backendFramework.includes('Django')) {
-        requirements = `Django>=3.2,<4.0
-djangorestframework
-gunicorn`;
-    } else if (backendFramework.includes('Flask')) {
-        requirements = `Flask
-gunicorn
-requests`;
-    } else if (backendFramework.includes('FastAPI')) {
-        requirements = `fastapi
-uvicorn
-pydantic`;
+async function scaffoldSingleRepo(context, executor, cwd) {
+    const projectDir = path.join(cwd, context.projectName);
+    if (context.projectType === 'API') {
+        scaffoldStack(context.apiFramework, context, projectDir, executor);
+    } else if (context.projectType === 'CLI Tool') {
+        scaffoldStack(context.cliLanguage, context, projectDir, executor);
+    } else {
+        scaffoldStack(context.frontendFramework, context, projectDir, executor);
     }
-    fs.writeFileSync(path.join(targetDir, 'requirements.txt'), requirements, 'utf-8');
-    console.log(`[Smart Genesis] requirements.txt created in ${targetDir}`);
+    executor.log(`[Smart Genesis] Project scaffold for "${context.projectName}" has been created.`);
 }
 
-// --- Scaffolding Functions ---
-async function scaffoldMonorepo(context) {
-    const projectDir = path.join(process.cwd(), context.projectName);
-    fs.ensureDirSync(projectDir);
-    const appsDir = path.join(projectDir, 'apps');
-    fs.ensureDirSync(appsDir);
-    runCommand('npm init -y', projectDir);
-
-    // Frontend
-    if (context.frontendFramework === 'Next.js' || context.frontendFramework === 'React' || context.frontendFramework === 'Vite') {
-        const frontendDir = path.join(appsDir, 'frontend');
-        fs.ensureDirSync(frontendDir);
-        if (context.frontendFramework === 'Next.js') {
-            const tsFlag = context.useTypeScript ? ' --typescript' : '';
-            console.log(`Initializing Next.js app in ${frontendDir}...`);
-            runCommand(`npx create-next-app .${tsFlag} --skip-git`, frontendDir);
-        } else if (context.frontendFramework === 'React') {
-            console.log(`Initializing Create React App in ${frontendDir}...`);
-            runCommand(`npx create-react-app . --skip-git`, frontendDir);
-        } else {
-            console.log(`Initializing Vite app in ${frontendDir}...`);
-            runCommand(`npx create-vite@latest . --template ${context.frontendFramework} --skip-git`, frontendDir);
+// Every app with the template type overlaid onto it.
+function overlayApps(answers, cwd) {
+    const templateTypes = { frontend: 'web-app', backend: 'api', cli: 'cli-tool' };
+    return projectApps(answers, cwd).map(app => ({ role: app.role, dir: app.dir, templateType: templateTypes[app.role] }));
+}
+
+// The template overlay files of one app, rendered with what was actually scaffolded for it and
+// the project's `repositories` once they exist (see lib/readme.js).
+function overlayFiles(context, app, templateSets, repositories) {
+    return renderTemplateSets(templateSets, overlayContext(context, app.role, repositories), app.templateType);
+}
+
+// Write the overlays into the app's directory. Returns them with absolute paths, for the project manifest.
+function overlayCustomFiles(context, app, executor, templateSets, repositories) {
+    const targetDir = app.dir;
+    const files = overlayFiles(context, app, templateSets, repositories);
+    for (const file of files) {
+        const filePath = resolveDestination(targetDir, file);
+        if (path.dirname(filePath) !== targetDir) {
+            executor.ensureDir(path.dirname(filePath));
         }
+        executor.writeFile(filePath, file.content);
     }
+    const names = [...new Set(files.map(file => file.template))].join(', ') || 'no';
+    executor.log(`[Smart Genesis] Custom files added to ${targetDir} using ${names} templates.`);
+    return files.map(file => ({ ...file, path: resolveDestination(targetDir, file) }));
+}
 
-    // Backend
-    if (context.includeBackend) {
-        const backendDir = path.join(appsDir, 'backend');
-        fs.ensureDirSync(backendDir);
-        if (context.backendFramework === 'Nest.js') {
-            console.log(`Initializing NestJS app in ${backendDir}...`);
-            runCommand(`npx nest new . --skip-install --skip-git`, backendDir);
-        } else if (context.backendFramework.startsWith('Python')) {
-            runCommand('python -m venv .venv', backendDir);
-            runCommand('source .venv/bin/activate', backendDir);
-            if (context.backendFramework.includes('Django')) {
-                console.log(`Initializing Django project in ${backendDir}...`);
-                runCommand('python3 -m pip install Django', backendDir);
-                runCommand(`python -m django startproject ${normalizeProjectNameForDjango(context.projectName)} .`, backendDir);
-            } else if (context.backendFramework.includes('Flask')) {
-                console.log(`Initializing Flask project in ${backendDir}...`);
-                runCommand('python3 -m pip install Flask', backendDir);
-                fs.ensureDirSync(backendDir);
-                fs.writeFileSync(path.join(backendDir, 'app.py'),
-                    `from flask import Flask, jsonify
-
-app = Flask(__name__)
-
-@app.route("/")
-def index():
-    return jsonify({"message": "Hello from ${context.projectName}!"})
-
-if __name__ == "__main__":
-    app.run(debug=True)
-`, 'utf-8');
-            } else if (context.backendFramework.includes('FastAPI')) {
-                console.log(`Initializing FastAPI project in ${backendDir}...`);
-                runCommand('python3 -m pip install FastAPI', backendDir);
-                fs.ensureDirSync(backendDir);
-                fs.writeFileSync(path.join(backendDir, 'main.py'),
-                    `from fastapi import FastAPI
-
-app = FastAPI()
-
-@app.get("/")
-def read_root():
-    return {"Hello": "${context.projectName}"}
-
-if __name__ == '__main__':
-    import uvicorn
-    uvicorn.run(app, host="0.0.0.0", port=8000)
-`, 'utf-8');
-            }
-            createPythonRequirements(context.backendFramework, backendDir);
-        }
+// Write the Dockerfiles and docker-compose.yml for the scaffolded apps.
+function containerizeProject(answers, executor, cwd) {
+    for (const file of dockerFiles(answers, cwd)) {
+        executor.writeFile(file.path, file.content);
     }
+    executor.log('[Smart Genesis] Docker files generated.');
+}
 
-    console.log(`[Smart Genesis] Monorepo structure for "${context.projectName}" has been created.`);
+// Write the CI workflows for the scaffolded apps, so they are part of the initial commit.
+function addCiWorkflows(answers, executor, cwd) {
+    for (const file of ciFiles(answers, cwd)) {
+        executor.ensureDir(path.dirname(file.path));
+        executor.writeFile(file.path, file.content);
+    }
+    executor.log(`[Smart Genesis] ${answers.ci} configuration generated.`);
 }
 
-async function scaffoldSeparateRepos(context) {
-    // Frontend Repo
-    if (context.frontendFramework === 'Next.js' || context.frontendFramework === 'React' || context.frontendFramework === 'Vite') {
-        const frontendName = `${context.projectName}-frontend`;
-        const frontendDir = path.join(process.cwd(), frontendName);
-        fs.ensureDirSync(frontendDir);
-        if (context.frontendFramework === 'Next.js') {
-            const tsFlag = context.useTypeScript ? ' --typescript' : '';
-            console.log(`Initializing Next.js app in ${frontendDir}...`);
-            runCommand(`npx create-next-app .${tsFlag} --skip-git`, frontendDir);
-        } else if (context.frontendFramework === 'React') {
-            console.log(`Initializing Create React App in ${frontendDir}...`);
-            runCommand(`npx create-react-app . --skip-git`, frontendDir);
-        } else {
-            console.log(`Initializing Vite app in ${frontendDir}...`);
-            runCommand(`npx create-vite@latest . --template ${context.frontendFramework} --skip-git`, frontendDir);
+// Ask for a personal access token when no token is set in the environment.
+async function promptForToken(provider, options) {
+    if (options.yes || !options.prompt) {
+        throw new Error(`No ${provider.name} token available. Set ${provider.tokenEnv[0]} or choose another --auth method.`);
+    }
+    const { token } = await options.prompt([
+        {
+            type: 'password',
+            name: 'token',
+            message: `${provider.name} personal access token (needs permission to create repositories):`,
+            mask: '*',
+            validate: value => Boolean(value.trim()) || 'Enter a token.'
         }
+    ]);
+    return token.trim();
+}
+
+// Commit everything in `dir` and push it to `repo` as the initial commit on main.
+async function pushRepository(repo, dir, accessToken, options, executor) {
+    if (options.license) {
+        const license = await licenseText(repo, accessToken, options, executor);
+        executor.writeFile(path.join(dir, 'LICENSE'), license);
+    }
+    executor.run('git init', dir);
+    executor.run('git add .', dir);
+    executor.run('git commit -m "Initial commit with scaffolded project"', dir);
+    executor.run(`git remote add origin ${repo.cloneUrl}`, dir);
+    executor.run('git branch -M main', dir);
+    executor.run('git push -u origin main', dir);
+    if (options.protectMain) {
+        await protectBranch(repo, 'main', accessToken, options, executor);
     }
+}
 
-    // Backend Repo
-    if (context.includeBackend) {
-        const backendName = `${context.projectName}-backend`;
-        const backendDir = path.join(process.cwd(), backendName);
-        fs.ensureDirSync(backendDir);
-        if (context.backendFramework === 'Nest.js') {
-            console.log(`Initializing NestJS app in ${backendDir}...`);
-            runCommand(`npx nest new . --skip-install --skip-git`, backendDir);
-        } else if (context.backendFramework.startsWith('Python')) {
-            if (context.backendFramework.includes('Django')) {
-                console.log(`Initializing Django project in ${backendDir}...`);
-                runCommand(`python -m django startproject ${normalizeProjectNameForDjango(context.projectName)} .`, backendDir);
-            } else if (context.backendFramework.includes('Flask')) {
-                console.log(`Initializing Flask project in ${backendDir}...`);
-                fs.ensureDirSync(backendDir);
-                fs.writeFileSync(path.join(backendDir, 'app.py'),
-                    `from flask import Flask, jsonify
-
-app = Flask(__name__)
-
-@app.route("/")
-def index():
-    return jsonify({"message": "Hello from ${context.projectName}!"})
-
-if __name__ == "__main__":
-    app.run(debug=True)
-`, 'utf-8');
-            } else if (context.backendFramework.includes('FastAPI')) {
-                fs.ensureDirSync(backendDir);
-                fs.writeFileSync(path.join(backendDir, 'main.py'),
-                    `from fastapi import FastAPI
-
-app = FastAPI()
-
-@app.get("/")
-def read_root():
-    return {"Hello": "${context.projectName}"}
-
-if __name__ == '__main__':
-    import uvicorn
-    uvicorn.run(app, host="0.0.0.0", port=8000)
-`, 'utf-8');
-            }
-            createPythonRequirements(context.backendFramework, backendDir);
+// The repositories a scaffolded project is pushed to, with absolute paths.
+function repositoriesFor(answers, cwd) {
+    if (answers.projectType === 'Web App' && answers.includeBackend && answers.repoStructure === 'Separate Repos') {
+        return [
+            { label: 'Frontend', name: `${answers.projectName}-frontend`, dir: path.join(cwd, `${answers.projectName}-frontend`) },
+            { label: 'Backend', name: `${answers.projectName}-backend`, dir: path.join(cwd, `${answers.projectName}-backend`) }
+        ];
+    }
+    return [{ label: 'Project', name: answers.projectName, dir: path.join(cwd, answers.projectName) }];
+}
+
+// The provider's error response, or the error message when there is none.
+function errorDetail(error) {
+    const detail = error.response?.data || error.message;
+    return typeof detail === 'string' ? detail : JSON.stringify(detail);
+}
+
+// Create the repositories on the chosen provider. All of them are created before anything is
+// pushed, so a name clash cannot leave one half pushed. Returns `[{ target, repo }]`, or nothing
+// when a repository could not be created.
+async function createGitRepos(accessToken, repositories, executor, options, onExists) {
+    try {
+        executor.log(`[Smart Genesis] Creating ${options.provider.name} repository...`);
+        const created = [];
+        for (const target of repositories) {
+            const repo = await createRepository(target.name, accessToken, options, executor, onExists);
+            executor.log(`[Smart Genesis] ${target.label} repository ready: ${repo.cloneUrl}`);
+            created.push({ target, repo });
         }
+        return created;
+    } catch (error) {
+        executor.warn(`[Smart Genesis] Error creating ${options.provider.name} repository: ${errorDetail(error)}`);
+        return [];
     }
+}
 
-    console.log(`[Smart Genesis] Separate repositories have been created for "${context.projectName}".`);
+// Push the scaffolded project to the repositories created for it.
+async function pushGitRepos(created, accessToken, executor, options) {
+    try {
+        for (const { target, repo } of created) {
+            await pushRepository(repo, target.dir, accessToken, options, executor);
+        }
+        executor.log(`[Smart Genesis] Code pushed to ${options.provider.name} repository successfully.`);
+    } catch (error) {
+        executor.warn(`[Smart Genesis] Error pushing to ${options.provider.name} repository: ${errorDetail(error)}`);
+    }
 }
 
-async function scaffoldSingleRepo(context) {
-    const projectDir = path.join(process.cwd(), context.projectName);
-    fs.ensureDirSync(projectDir);
+// The created repositories as the project manifest records them and the README templates show them.
+function repositoryRecords(created) {
+    return created.map(({ target, repo }) => ({ label: target.label, name: repo.name, owner: repo.owner, url: repo.htmlUrl, cloneUrl: repo.cloneUrl }));
+}
 
-    if (context.projectType === 'API') {
-        if (context.apiFramework === 'Nest.js') {
-            console.log(`Initializing NestJS API in ${projectDir}...`);
-            runCommand(`npx nest new . --skip-install --skip-git`, projectDir);
-        } else if (context.apiFramework.startsWith('Python')) {
-            runCommand('python -m venv .venv', projectDir);
-            runCommand('source .venv/bin/activate', projectDir);
-            if (context.apiFramework.includes('Django')) {
-                console.log(`Initializing Django project in ${projectDir}...`);
-                runCommand('python3 -m pip install Django', projectDir);
-                runCommand(`python -m django startproject ${normalizeProjectNameForDjango(context.projectName)} .`, projectDir);
-            } else if (context.apiFramework.includes('Flask')) {
-                console.log(`Initializing Flask project in ${projectDir}...`);
-                runCommand('python3 -m pip install Flask', projectDir);
-                fs.ensureDirSync(projectDir);
-                fs.writeFileSync(path.join(projectDir, 'app.py'),
-                    `from flask import Flask, jsonify
-
-app = Flask(__name__)
-
-@app.route("/")
-def index():
-    return jsonify({"message": "Hello from ${context.projectName} API!"})
-
-if __name__ == "__main__":
-    app.run(debug=True)
-`, 'utf-8');
-            } else if (context.apiFramework.includes('FastAPI')) {
-                runCommand('python3 -m pip install FastAPI', projectDir);
-                fs.ensureDirSync(projectDir);
-                fs.writeFileSync(path.join(projectDir, 'main.py'),
-                    `from fastapi import FastAPI
-
-app = FastAPI()
-
-@app.get("/")
-def read_root():
-    return {"Hello": "${context.projectName} API"}
-
-if __name__ == '__main__':
-    import uvicorn
-    uvicorn.run(app, host="0.0.0.0", port=8000)
-`, 'utf-8');
-            }
-            createPythonRequirements(context.apiFramework, projectDir);
+// Ask what to do when a repository name is already taken on the provider.
+function existingRepoHandler(options) {
+    return async name => {
+        if (options.onRepoExists) {
+            return { action: options.onRepoExists };
         }
-    } else if (context.projectType === 'CLI Tool') {
-        if (context.cliLanguage === 'Node.js') {
-            fs.ensureDirSync(projectDir);
-            fs.writeFileSync(path.join(projectDir, 'index.js'),
-                `#!/usr/bin/env node
-console.log("Welcome to ${context.projectName} CLI tool!");`, 'utf-8');
-        } else if (context.cliLanguage === 'Bash') {
-            fs.ensureDirSync(projectDir);
-            fs.writeFileSync(path.join(projectDir, 'run.sh'),
-                `#!/bin/bash
-echo "Welcome to ${context.projectName} CLI tool!"`, 'utf-8');
-        } else if (context.cliLanguage === 'Python') {
-            fs.ensureDirSync(projectDir);
-            fs.writeFileSync(path.join(projectDir, 'main.py'),
-                `#!/usr/bin/env python3
-print("Welcome to ${context.projectName} CLI tool!")`, 'utf-8');
+        if (options.yes || !options.prompt) {
+            return { action: 'abort' };
         }
-    } else {
-        const frontendName = `${context.projectName}-frontend`;
-        const frontendDir = path.join(process.cwd(), frontendName);
-        fs.ensureDirSync(frontendDir);
-        if (context.frontendFramework === 'Next.js' || context.frontendFramework === '  React' || context.frontendFramework === 'Vite') {
-            const tsFlag = context.useTypeScript ? ' --typescript' : '';
-            console.log(`Initializing Next.js app in ${frontendDir}...`);
-            runCommand(`npx create-next-app .${tsFlag} --skip-git`, frontendDir);
-        } else if (context.frontendFramework === 'React') {
-            console.log(`Initializing Create React App in ${frontendDir}...`);
-            runCommand(`npx create-react-app . --skip-git`, frontendDir);
-        } else {
-            console.log(`Initializing Vite app in ${frontendDir}...`);
-            runCommand(`npx create-vite@latest . --template ${context.frontendFramework} --skip-git`, frontendDir);
+        const { action } = await options.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: `A repository named "${name}" already exists. What would you like to do?`,
+                choices: [
+                    { name: 'Reuse the existing repository', value: 'reuse' },
+                    { name: 'Choose a different name', value: 'rename' },
+                    { name: 'Abort', value: 'abort' }
+                ]
+            }
+        ]);
+        if (action !== 'rename') {
+            return { action };
         }
-        console.log(`[Smart Genesis] Project scaffold for "${context.projectName}" has been created.`);
-    }
+        const { newName } = await options.prompt([
+            {
+                type: 'input',
+                name: 'newName',
+                message: 'New repository name:',
+                default: `${name}-2`,
+                validate: value => (value.trim() && value.trim() !== name) || 'Enter a different, non-empty name.'
+            }
+        ]);
+        return { action: 'rename', name: newName.trim() };
+    };
 }
 
-async function overlayCustomFiles(context, targetDir, templateType) {
-    const templateBase = path.join(__dirname, 'templates');
-    const templateDir = path.join(templateBase, templateType);
-    const readmeTemplatePath = path.join(templateDir, 'README.hbs');
-    if (fs.existsSync(readmeTemplatePath)) {
-        const readmeContent = renderTemplate(readmeTemplatePath, context);
-        fs.writeFileSync(path.join(targetDir, 'README.md'), readmeContent, 'utf-8');
+// The answers a manifest records; answers to template prompts are kept apart as `templateAnswers`.
+function manifestAnswers(answers, templateAnswers) {
+    return Object.keys(templateAnswers).length > 0 ? { ...answers, templateAnswers } : answers;
+}
+
+// `{ template, version, content }` of each overlay file below `root`, keyed by its relative path.
+function overlayRecords(overlays, root) {
+    return Object.fromEntries(overlays
+        .filter(file => isInside(root, file.path))
+        .map(file => [
+            toPosix(path.relative(root, file.path)),
+            { template: file.template, version: file.version, content: file.content.toString('utf-8') }
+        ]));
+}
+
+// Write the manifest into every repository of the project, so `smart-genesis add` and
+// `smart-genesis upgrade` can extend it later. `repositories` are the created ones, if any.
+function recordProject(answers, overlays, repositories, executor, cwd) {
+    const apps = projectApps(answers, cwd);
+    for (const { dir } of repositoriesFor(answers, cwd)) {
+        const files = fileHashes(dir, touchedFiles(executor.steps, dir));
+        const manifest = projectManifest(answers, apps, dir, { files, overlays: overlayRecords(overlays, dir), repositories });
+        executor.writeFile(path.join(dir, PROJECT_MANIFEST), manifest);
     }
-    const indexTemplatePath = path.join(templateDir, 'index.js.hbs');
-    if (fs.existsSync(indexTemplatePath)) {
-        const indexContent = renderTemplate(indexTemplatePath, context);
-        fs.writeFileSync(path.join(targetDir, 'index.js'), indexContent, 'utf-8');
+}
+
+// The manifest of the project `cwd` belongs to.
+function requireProjectManifest(command, cwd) {
+    const found = findProjectManifest(cwd);
+    if (!found) {
+        throw new Error(`No ${PROJECT_MANIFEST} found in ${cwd} or its parents. Run ${command} inside a project generated by Smart Genesis.`);
     }
-    console.log(`[Smart Genesis] Custom files added to ${targetDir} using ${templateType} templates.`);
+    return found;
 }
 
-// URLs to match our deployed OAuth service.
-const OAUTH_LOGIN_URL = 'https://oauth-server-production.up.railway.app/login';
-const OAUTH_TOKEN_URL = 'https://oauth-server-production.up.railway.app/token';
+const CHANGE_LABELS = { create: 'create', update: 'update', merge: 'merge', modified: 'overwrite' };
 
-async function pollForAccessToken() {
-    const maxAttempts = 20;
-    const delayMs = 3000;
+// `smart-genesis add <feature>`: apply a feature to the project whose manifest is in the current
+// directory or above. The feature runs against a dry-run executor first; files changed since they
+// were generated are only overwritten with --force, and their diff is shown instead.
+async function addFeature(command, rawAnswers, options, executor) {
+    const feature = getFeature(command.feature);
+    if (!feature) {
+        throw new Error(`Unknown feature "${command.feature}". Expected one of: ${featureNames().join(', ')}.`);
+    }
+    const { root, manifest } = requireProjectManifest('add', options.cwd);
+    const recorded = normalizeAnswers(manifest.answers);
+    const { answers: preset, errors } = normalizeAnswers(rawAnswers);
+    const questions = feature.questions(recorded.answers);
+    for (const name of Object.keys(preset)) {
+        if (!questions.some(question => question.name === name)) {
+            errors.push(`${name} does not apply to add ${feature.name}.`);
+        }
+    }
+    assertValid([...recorded.errors.map(error => `${PROJECT_MANIFEST}: ${error}`), ...errors, ...feature.check(recorded.answers)]);
+    const answers = feature.enable({ ...recorded.answers, ...(await askQuestions(questions, preset, options)) });
+    assertValid(validateAnswers(answers, { existing: true }));
+
+    const cwd = path.dirname(root);
+    const recorder = createExecutor({ dryRun: true, silent: true });
+    feature.apply(answers, recorder, cwd);
+    const { changes, commands, outside } = planChanges(recorder.steps, root, manifest);
+    const conflicts = changes.filter(change => change.status === 'modified');
+    for (const change of command.diff ? changes : (command.force ? [] : conflicts)) {
+        executor.log(changeDiff(change));
+    }
+    if (conflicts.length > 0 && !command.force) {
+        const files = conflicts.map(change => `  ${change.relativePath}`).join('\n');
+        throw new Error(`These files were changed since they were generated:\n${files}\nReview the changes above and run again with --force to overwrite them.`);
+    }
+    for (const outsidePath of outside) {
+        executor.log(`[Smart Genesis] Skipping ${outsidePath}, which is outside ${root}. Run add there as well.`);
+    }
 
-    console.log('Waiting for access token from your OAuth server...');
-    for (let i = 0; i < maxAttempts; i++) {
-        try {
-            const response = await axios.get(OAUTH_TOKEN_URL);
-            if (response.data && response.data.token) {
-                console.log('Access token received!');
-                return response.data.token;
-            }
-        } catch (error) {
-            console.error('Polling error:', error.message);
+    for (const change of changes) {
+        if (!fs.existsSync(path.dirname(change.path))) {
+            executor.ensureDir(path.dirname(change.path));
         }
-        await new Promise(resolve => setTimeout(resolve, delayMs));
+        executor.writeFile(change.path, change.after);
+        executor.log(`[Smart Genesis] ${CHANGE_LABELS[change.status].padEnd(9)} ${change.relativePath}`);
+    }
+    for (const command of commands) {
+        executor.run(command.command, command.cwd);
     }
-    throw new Error('Timed out waiting for access token.');
+    const files = { ...manifest.files };
+    for (const change of changes) {
+        files[change.relativePath] = contentHash(change.after);
+    }
+    const updated = projectManifest(manifestAnswers(answers, recorded.templateAnswers), projectApps(answers, cwd), root, { files, overlays: manifest.overlays, repositories: manifest.repositories });
+    executor.writeFile(path.join(root, PROJECT_MANIFEST), updated);
+
+    executor.log(changes.length > 0
+        ? `[Smart Genesis] Added ${feature.name} to ${root}.`
+        : `[Smart Genesis] ${root} already has everything ${feature.name} adds.`);
+    for (const note of feature.notes(answers, cwd)) {
+        executor.log(`[Smart Genesis] ${note}`);
+    }
+    return answers;
 }
 
-async function initiateOAuthFlow() {
-    // Open the consent screen in the user's browser.
-    console.log('Opening GitHub OAuth consent screen...');
-    await open(OAUTH_LOGIN_URL);
+const UPGRADE_LABELS = { create: 'create', update: 'update', merge: 'merge', conflict: 'conflict' };
+
+// `smart-genesis upgrade`: render the template overlays again with the current templates and the
+// recorded answers, and merge them into the project. The content rendered last time is the base of
+// a three-way merge, so both the user's edits and the template's changes are kept; lines both
+// changed are left between conflict markers.
+async function upgradeTemplates(command, templateSets, templateAnswers, options, executor) {
+    const { root, manifest } = requireProjectManifest('upgrade', options.cwd);
+    const recorded = normalizeAnswers(manifest.answers);
+    assertValid(recorded.errors.map(error => `${PROJECT_MANIFEST}: ${error}`));
+    const { answers } = recorded;
+    // Template prompts added since the project was generated are asked now.
+    const extraQuestions = templatePrompts(templateSets, overlayTargets(answers));
+    const extraAnswers = await askQuestions(extraQuestions, { ...recorded.templateAnswers, ...templateAnswers }, options);
+    const context = withConnection({ ...extraAnswers, ...answers });
+    const cwd = path.dirname(root);
+
+    const files = { ...manifest.files };
+    const overlays = { ...manifest.overlays };
+    const conflicts = [];
+    let changed = 0;
+    for (const app of overlayApps(answers, cwd).filter(app => app.dir === root || isInside(root, app.dir))) {
+        for (const file of overlayFiles(context, app, templateSets, manifest.repositories)) {
+            const filePath = resolveDestination(app.dir, file);
+            const relativePath = toPosix(path.relative(root, filePath));
+            const theirs = file.content.toString('utf-8');
+            const base = overlays[relativePath] ? overlays[relativePath].content : null;
+            const ours = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+            overlays[relativePath] = { template: file.template, version: file.version, content: theirs };
+            if (theirs === ours) {
+                files[relativePath] = contentHash(ours);
+                continue;
+            }
+            // Nothing new from the template, or deleted by the user.
+            if (theirs === base || (ours === null && base !== null)) {
+                continue;
+            }
+            let status = 'create';
+            let content = theirs;
+            if (ours !== null && ours === base) {
+                status = 'update';
+            } else if (ours !== null) {
+                const label = `template ${file.template}${file.version ? ` ${file.version}` : ''}`;
+                const merged = mergeContent(base || '', ours, theirs, label);
+                status = merged.conflict ? 'conflict' : 'merge';
+                content = merged.content;
+            }
+            if (command.diff) {
+                executor.log(changeDiff({ relativePath, before: ours === null ? null : Buffer.from(ours), after: Buffer.from(content) }));
+            }
+            if (!fs.existsSync(path.dirname(filePath))) {
+                executor.ensureDir(path.dirname(filePath));
+            }
+            executor.writeFile(filePath, content);
+            executor.log(`[Smart Genesis] ${UPGRADE_LABELS[status].padEnd(9)} ${relativePath}`);
+            changed += 1;
+            // A file left with conflict markers keeps counting as changed by the user.
+            if (status === 'conflict') {
+                conflicts.push(relativePath);
+            } else {
+                files[relativePath] = contentHash(content);
+            }
+        }
+    }
 
-    // Poll the deployed OAuth server for the token.
-    const accessToken = await pollForAccessToken();
-    return accessToken;
+    const updated = projectManifest(manifestAnswers(answers, extraAnswers), projectApps(answers, cwd), root, { files, overlays, repositories: manifest.repositories });
+    executor.writeFile(path.join(root, PROJECT_MANIFEST), updated);
+    executor.log(changed > 0
+        ? `[Smart Genesis] Upgraded ${changed} template file${changed === 1 ? '' : 's'} in ${root}.`
+        : `[Smart Genesis] The template files in ${root} are up to date.`);
+    if (conflicts.length > 0) {
+        executor.log(`[Smart Genesis] Resolve the conflicts marked in:\n${conflicts.map(file => `  ${file}`).join('\n')}`);
+    }
+    return answers;
 }
 
-// Create a Git repository using the GitHub API and push the scaffolded project
-async function createAndPushGitRepo(accessToken, projectName, targetDir, reposStructure) {
-    try {
-        console.log('[Smart Genesis] Creating GitHub repository...');
-        let cloneUrl;
-        if (reposStructure === 'Separate Repos') {
-            const frontendRepoResponse = await axios.post(
-                'https://api.github.com/user/repos',
-                {
-                    name: `${projectName}-frontend`,
-                    description: 'Repository created automatically by Smart Genesis CLI',
-                    private: false,
-                },
-                {
-                    headers: {
-                        Authorization: `token ${accessToken}`,
-                        Accept: 'application/vnd.github.v3+json',
-                    },
-                }
-            );
-            const backendRepoResponse = await axios.post(
-                'https://api.github.com/user/repos',
-                {
-                    name: `${projectName}-backend`,
-                    description: 'Repository created automatically by Smart Genesis CLI',
-                    private: false,
-                },
-                {
-                    headers: {
-                        Authorization: `token ${accessToken}`,
-                        Accept: 'application/vnd.github.v3+json',
-                    },
-                }
-            );
-            const frontendCloneUrl = frontendRepoResponse.data.clone_url;
-            const backendCloneUrl = backendRepoResponse.data.clone_url;
-            console.log(`[Smart Genesis] Frontend repository created: ${frontendCloneUrl}`);
-            console.log(`[Smart Genesis] Backend repository created: ${backendCloneUrl}`);
-
-            // Initialize local git repository, commit, add remote, and push
-            runCommand('git init', `${projectName}-frontend`);
-            runCommand('git init', `${projectName}-backend`);
-
-            runCommand('git add .', `${projectName}-frontend`);
-            runCommand('git add .', `${projectName}-backend`);
-
-            runCommand('git add .', targetDir);
-            runCommand('git commit -m "Initial commit with scaffolded project"', `${projectName}-frontend`);
-            runCommand('git commit -m "Initial commit with scaffolded project"', `${projectName}-backend`);
-            runCommand(`git remote add origin ${frontendCloneUrl}`, `${projectName}-frontend`);
-            runCommand(`git remote add origin ${backendCloneUrl}`, `${projectName}-backend`);
-            runCommand('git branch -M main', `${projectName}-frontend`);
-            runCommand('git branch -M main', `${projectName}-backend`);
-            runCommand('git push -u origin main', `${projectName}-frontend`);
-            runCommand('git push -u origin main', `${projectName}-backend`);
-            console.log('[Smart Genesis] Code pushed to GitHub repository successfully.');
-        } else {
-            const repoResponse = await axios.post(
-                'https://api.github.com/user/repos',
-                {
-                    name: projectName,
-                    description: 'Repository created automatically by Smart Genesis CLI',
-                    private: false,
-                },
-                {
-                    headers: {
-                        Authorization: `token ${accessToken}`,
-                        Accept: 'application/vnd.github.v3+json',
-                    },
-                }
-            );
-            cloneUrl = repoResponse.data.clone_url;
-            console.log(`[Smart Genesis] Repository created: ${cloneUrl}`);
-            // Initialize local git repository, commit, add remote, and push
-            runCommand('git init', targetDir);
-
-            if (reposStructure === 'Monorepo') {
-                runCommand('git add .', path.join(targetDir, 'apps/frontend'));
-                runCommand('git add .', path.join(targetDir, 'apps/backend'));
-            }
+async function promptForGitRepo(preset, options) {
+    const gitPreset = Object.fromEntries(gitQuestions.map(question => [question.name, preset[question.name]]));
+    const answers = await askQuestions(gitQuestions, gitPreset, options);
+    assertValid(validateAnswers(answers));
+    return answers;
+}
 
-            runCommand('git add .', targetDir);
-            runCommand('git commit -m "Initial commit with scaffolded project"', targetDir);
-            runCommand(`git remote add origin ${cloneUrl}`, targetDir);
-            runCommand('git branch -M main', targetDir);
-            runCommand('git push -u origin main', targetDir);
-            console.log('[Smart Genesis] Code pushed to GitHub repository successfully.');
-        }
-    } catch (error) {
-        console.error('Error creating or pushing to GitHub repository:', error.response?.data || error);
+// --- Programmatic API ---
+// `scaffold`, `add`, `upgrade` and `doctor` are what the CLI runs (see bin/smart-genesis.js), for
+// tools that generate projects themselves. See "Programmatic API" in README.md for the options.
+
+// The options of an API call with their defaults. Options left undefined keep the default.
+function apiOptions(options = {}) {
+    const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    return {
+        answers: {},
+        templateDirs: [],
+        prompt: null,
+        ...given,
+        cwd: path.resolve(given.cwd || process.cwd()),
+        config: given.config || readConfig()
+    };
+}
+
+// Problems with the options that choose how repositories are created and existing ones handled.
+function optionErrors(options) {
+    const errors = [];
+    if (options.auth && !AUTH_METHODS.includes(options.auth)) {
+        errors.push(`Invalid --auth "${options.auth}". Expected one of: ${AUTH_METHODS.join(', ')}.`);
+    }
+    if (options.onRepoExists && !['reuse', 'abort'].includes(options.onRepoExists)) {
+        errors.push(`Invalid --on-repo-exists "${options.onRepoExists}". Expected reuse or abort.`);
     }
+    if (options.onDirExists && !['merge', 'overwrite', 'abort'].includes(options.onDirExists)) {
+        errors.push(`Invalid --on-dir-exists "${options.onDirExists}". Expected merge, overwrite or abort.`);
+    }
+    return errors;
 }
 
-async function promptForGitRepo() {
-    return prompt([
-        {
-            type: 'confirm',
-            name: 'createGit',
-            message: 'Would you like to create a Git repository for your project?',
-            default: false
-        }
-    ]);
+// Only prints what it does with `verbose`; `onEvent` is told either way.
+function apiExecutor(options) {
+    return createExecutor({
+        dryRun: options.dryRun,
+        quiet: options.quiet,
+        silent: !options.verbose,
+        exec: options.exec,
+        http: options.http,
+        openUrl: options.openUrl,
+        onEvent: options.onEvent
+    });
+}
+
+function reportPhase(options, phase) {
+    if (options.onEvent) {
+        options.onEvent({ type: 'phase', phase });
+    }
 }
 
-async function main() {
+// Run `action`, and when it fails roll back what `executor` created unless `keepOnFailure`. The
+// error is thrown on with the paths that were `removed`, or that are `kept` together with the
+// `backups` of the directories the run replaced. Those are only deleted once the run succeeds.
+async function withRollback(executor, keepOnFailure, action) {
+    let result;
     try {
-        const answers = await promptUser();
-
-        // Scaffolding logic
-        if (answers.projectType === 'Web App') {
-            if (answers.includeBackend) {
-                if (answers.repoStructure === 'Monorepo') {
-                    await scaffoldMonorepo(answers);
-                    const projectDir = path.join(process.cwd(), answers.projectName);
-                    overlayCustomFiles(answers, path.join(projectDir, 'apps/frontend'), 'web-app');
-                    overlayCustomFiles(answers, path.join(projectDir, 'apps/backend'), 'api');
-                } else {
-                    await scaffoldSeparateRepos(answers);
-                    const frontendDir = path.join(process.cwd(), `${answers.projectName}-frontend`);
-                    const backendDir = path.join(process.cwd(), `${answers.projectName}-backend`);
-                    overlayCustomFiles(answers, frontendDir, 'web-app');
-                    overlayCustomFiles(answers, backendDir, 'api');
-                }
+        result = await action();
+    } catch (error) {
+        if (!executor.dryRun) {
+            if (keepOnFailure) {
+                error.kept = executor.createdPaths();
+                error.backups = executor.backups();
             } else {
-                const projectDir = path.join(process.cwd(), answers.projectName);
-                fs.ensureDirSync(projectDir);
-                if (answers.frontendFramework === 'Next.js') {
-                    const tsFlag = answers.useTypeScript ? ' --typescript' : '';
-                    console.log(`Initializing Next.js app in ${projectDir}...`);
-                    runCommand(`npx create-next-app .${tsFlag} --skip-git`, projectDir);
-                } else if (answers.frontendFramework === 'React') {
-                    console.log(`Initializing Create React App in ${projectDir}...`);
-                    runCommand(`npx create-react-app . --skip-git`, projectDir);
-                } else if (answers.frontendFramework === 'Vite') {
-                    console.log(`Initializing Vite app in ${projectDir}...`);
-                    runCommand(`npx create-vite@latest . --template ${answers.frontendFramework} --skip-git`, projectDir);
-                }
-                overlayCustomFiles(answers, projectDir, 'web-app');
+                error.removed = executor.rollback();
             }
-        } else if (answers.projectType === 'API' || answers.projectType === 'CLI Tool') {
-            await scaffoldSingleRepo(answers);
-            const projectDir = path.join(process.cwd(), answers.projectName);
-            const templateType = answers.projectType.toLowerCase();
-            overlayCustomFiles(answers, projectDir, templateType);
         }
+        throw error;
+    }
+    if (!executor.dryRun) {
+        executor.discardBackups();
+    }
+    return result;
+}
+
+// What an API call did (or plans to do in a dry run), from the steps of its executor.
+function runResult(executor, answers, repositories = []) {
+    const pathsOf = (...types) => [...new Set(executor.steps.filter(step => types.includes(step.type)).map(step => step.path))];
+    return {
+        dryRun: executor.dryRun,
+        answers,
+        directories: pathsOf('mkdir'),
+        files: pathsOf('write', 'append', 'update'),
+        removed: pathsOf('remove'),
+        commands: executor.steps.filter(step => step.type === 'command').map(step => ({ command: step.command, cwd: step.cwd })),
+        repositories,
+        warnings: [...executor.warnings],
+        steps: executor.steps
+    };
+}
+
+// Generate a project, asking `prompt` for the answers `answers` leaves open. Resolves to what was
+// done; a failed run is rolled back before the error is thrown.
+async function scaffold(options = {}) {
+    const settings = apiOptions(options);
+    const { config, cwd } = settings;
+    loadStackPlugins(config, cwd);
+    const { answers: preset, templateAnswers, errors } = normalizeAnswers(settings.answers);
+    assertValid([...errors, ...optionErrors(settings), ...validateAnswers(preset)]);
+    const projectAnswers = await promptUser(preset, settings);
+    const templateSets = loadTemplateSets(templateDirs(config, settings.templateDirs));
+    const extraQuestions = templatePrompts(templateSets, overlayTargets(projectAnswers));
+    // Answers to template prompts are only used as extra Handlebars context.
+    const extraAnswers = await askQuestions(extraQuestions, templateAnswers, settings);
+    const answers = { ...extraAnswers, ...projectAnswers };
+    const executor = apiExecutor(settings);
+    // A rollback only undoes local changes, so a failure after the repositories were created names them.
+    let repositories = [];
+
+    try {
+        return await withRollback(executor, settings.keepOnFailure, async () => {
+            reportPhase(settings, 'preflight');
+            await preflight({ ...answers, createGit: preset.createGit }, settings, executor);
 
-        // Prompt for Git repo creation
-        const gitAnswer = await promptForGitRepo();
-        if (gitAnswer.createGit) {
-            // Initiate OAuth flow and obtain access token
-            const accessToken = await initiateOAuthFlow();
-            // Determine the target directory to push (for simplicity, assuming single repo case)
-            let targetDir = '';
+            reportPhase(settings, 'scaffold');
+            const context = withConnection(answers);
             if (answers.projectType === 'Web App') {
                 if (answers.includeBackend) {
                     if (answers.repoStructure === 'Monorepo') {
-                        targetDir = path.join(process.cwd(), answers.projectName);
+                        await scaffoldMonorepo(context, executor, cwd);
                     } else {
-                        // If separate repos, we can choose one or push both.
-                        // Here we'll push the frontend repo as an example.
-                        targetDir = path.join(process.cwd(), `${answers.projectName}-frontend`);
+                        await scaffoldSeparateRepos(context, executor, cwd);
                     }
                 } else {
-                    targetDir = path.join(process.cwd(), answers.projectName);
+                    await scaffoldSingleRepo(context, executor, cwd);
                 }
-            } else {
-                targetDir = path.join(process.cwd(), answers.projectName);
+            } else if (answers.projectType === 'API' || answers.projectType === 'CLI Tool') {
+                await scaffoldSingleRepo(context, executor, cwd);
+            }
+            // Prompt for Git repo creation. The repositories are created before the READMEs are
+            // rendered, so they can link to them, and pushed once the project is complete.
+            const gitAnswer = await promptForGitRepo(preset, settings);
+            let git = null;
+            const gitProblems = gitAnswer.createGit ? toolProblems(checkTools(repositoryTools(), executor)) : [];
+            if (gitProblems.length > 0 && !executor.dryRun) {
+                executor.warn(`[Smart Genesis] Skipping repository creation: ${gitProblems.join(' ')}`);
+            } else if (gitAnswer.createGit) {
+                reportPhase(settings, 'repositories');
+                const options = repoOptions({ ...answers, ...gitAnswer }, settings, config);
+                const accessToken = await getAccessToken(authSettings(settings, config, options), executor, () => promptForToken(options.provider, settings));
+                const created = await createGitRepos(accessToken, repositoriesFor(answers, cwd), executor, options, existingRepoHandler(settings));
+                git = { options, accessToken, created };
             }
+            repositories = git ? repositoryRecords(git.created) : [];
 
-            await createAndPushGitRepo(accessToken, answers.projectName, targetDir, answers.repoStructure);
-        }
+            reportPhase(settings, 'overlays');
+            const overlays = overlayApps(answers, cwd).flatMap(app => overlayCustomFiles({ ...context, ...gitAnswer }, app, executor, templateSets, repositories));
+            if (answers.containerize) {
+                containerizeProject(answers, executor, cwd);
+            }
+            if (answers.ci && answers.ci !== 'None') {
+                addCiWorkflows(answers, executor, cwd);
+            }
+
+            recordProject(manifestAnswers({ ...projectAnswers, ...gitAnswer }, extraAnswers), overlays, repositories, executor, cwd);
+            if (git && git.created.length > 0) {
+                reportPhase(settings, 'push');
+                await pushGitRepos(git.created, git.accessToken, executor, git.options);
+            }
+            return runResult(executor, { ...answers, ...gitAnswer }, repositories);
+        });
     } catch (error) {
-        console.error('Error generating project:', error);
+        if (repositories.length > 0) {
+            error.repositories = repositories.map(repository => repository.url);
+        }
+        throw error;
+    }
+}
+
+// Apply `feature` to the project `cwd` belongs to; `diff` shows every change and `force`
+// overwrites files changed since they were generated.
+async function add(feature, options = {}) {
+    const settings = apiOptions(options);
+    loadStackPlugins(settings.config, settings.cwd);
+    assertValid(optionErrors(settings));
+    const executor = apiExecutor(settings);
+    return withRollback(executor, settings.keepOnFailure, async () => {
+        const command = { feature, diff: settings.diff, force: settings.force };
+        const answers = await addFeature(command, settings.answers, settings, executor);
+        return runResult(executor, answers);
+    });
+}
+
+// Merge the current templates into the project `cwd` belongs to; `diff` shows every change.
+async function upgrade(options = {}) {
+    const settings = apiOptions(options);
+    loadStackPlugins(settings.config, settings.cwd);
+    const { answers: preset, templateAnswers, errors } = normalizeAnswers(settings.answers);
+    if (Object.keys(preset).length > 0) {
+        errors.push(`upgrade uses the answers recorded in ${PROJECT_MANIFEST}; only templateAnswers can be given.`);
     }
+    assertValid([...errors, ...optionErrors(settings)]);
+    const templateSets = loadTemplateSets(templateDirs(settings.config, settings.templateDirs));
+    const executor = apiExecutor(settings);
+    return withRollback(executor, settings.keepOnFailure, async () => {
+        const answers = await upgradeTemplates({ diff: settings.diff }, templateSets, templateAnswers, settings, executor);
+        return runResult(executor, answers);
+    });
+}
+
+// What a run with `answers` needs, checked without scaffolding anything. Resolves to `tools`,
+// each `{ name, version, minimum, status, neededFor }`, the `problems` with the tools and the
+// answers, and the `existing` target directories.
+async function doctor(options = {}) {
+    const settings = apiOptions(options);
+    loadStackPlugins(settings.config, settings.cwd);
+    const { answers: preset, errors } = normalizeAnswers(settings.answers);
+    assertValid([...errors, ...optionErrors(settings)]);
+    // Unless it is ruled out, the run will ask whether to create a repository.
+    const tools = checkTools(requiredTools({
+        ...preset,
+        packageManager: preset.packageManager || detectPackageManager(),
+        createGit: preset.createGit !== false
+    }), apiExecutor(settings));
+    const existing = preset.projectName && preset.projectName.trim() ? existingTargets(preset, settings.cwd) : [];
+    return { tools, problems: [...toolProblems(tools), ...validateAnswers(preset)], existing };
 }
 
-main();
+module.exports = { scaffold, add, upgrade, doctor };
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { configHome } = require('./config');
+
+const DEFAULT_OAUTH_SERVER = 'https://oauth-server-production.up.railway.app';
+const AUTH_METHODS = ['oauth-server', 'device', 'token'];
+
+function credentialsPath() {
+    return path.join(configHome(), 'credentials.json');
+}
+
+function readCredentials() {
+    const file = credentialsPath();
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+    try {
+        return fs.readJsonSync(file);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Tokens are cached per API URL in a file only the current user can read.
+function writeCredentials(credentials) {
+    const file = credentialsPath();
+    fs.ensureDirSync(path.dirname(file), { mode: 0o700 });
+    fs.writeFileSync(file, JSON.stringify(credentials, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    fs.chmodSync(file, 0o600);
+}
+
+function cachedToken(apiUrl) {
+    return readCredentials()[apiUrl]?.token;
+}
+
+function cacheToken(apiUrl, token, method) {
+    const credentials = readCredentials();
+    credentials[apiUrl] = { token, method, savedAt: new Date().toISOString() };
+    writeCredentials(credentials);
+}
+
+function forgetToken(apiUrl) {
+    const credentials = readCredentials();
+    if (credentials[apiUrl]) {
+        delete credentials[apiUrl];
+        writeCredentials(credentials);
+    }
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// github.com's web host for api.github.com, or the Enterprise Server host for https://host/api/v3.
+function webUrl(apiUrl) {
+    const url = new URL(apiUrl);
+    if (url.hostname === 'api.github.com') {
+        return 'https://github.com';
+    }
+    return `${url.protocol}//${url.host}`;
+}
+
+// The hosted OAuth server keeps the client secret. Each login carries a random `state` that the
+// server passes through GitHub's consent screen, and the token is only handed out to a poll
+// presenting the same state, so concurrent logins cannot receive each other's token.
+async function pollForAccessToken(tokenUrl, state, executor) {
+    const maxAttempts = 20;
+    const delayMs = 3000;
+
+    executor.log('Waiting for access token from your OAuth server...');
+    for (let i = 0; i < maxAttempts; i++) {
+        try {
+            const response = await executor.request({ method: 'get', url: tokenUrl, params: { state } });
+            if (response.data && response.data.token) {
+                executor.log('Access token received!');
+                return response.data.token;
+            }
+        } catch (error) {
+            executor.warn(`Polling error: ${error.message}`);
+        }
+        await delay(delayMs);
+    }
+    throw new Error('Timed out waiting for access token.');
+}
+
+async function oauthServerFlow(settings, executor) {
+    const state = executor.dryRun ? '<state>' : crypto.randomBytes(32).toString('hex');
+    const loginUrl = `${settings.oauthServer}/login?state=${state}`;
+
+    // Open the consent screen in the user's browser.
+    executor.log('Opening GitHub OAuth consent screen...');
+    await executor.openUrl(loginUrl);
+    if (executor.dryRun) {
+        return '<access-token>';
+    }
+    executor.log(`If the browser did not open, visit ${loginUrl}`);
+    return pollForAccessToken(`${settings.oauthServer}/token`, state, executor);
+}
+
+// GitHub's OAuth device flow: no hosted server, only a public client ID.
+async function deviceFlow(settings, executor) {
+    if (!settings.clientId) {
+        throw new Error('The device flow needs a GitHub OAuth app client ID. Set GITHUB_CLIENT_ID or githubClientId in ~/.smart-genesis/config.json.');
+    }
+    const base = webUrl(settings.apiUrl);
+    const codeResponse = await executor.request(
+        {
+            method: 'post',
+            url: `${base}/login/device/code`,
+            data: { client_id: settings.clientId, scope: 'repo' },
+            headers: { Accept: 'application/json' }
+        },
+        { device_code: '<device-code>', user_code: '<user-code>', verification_uri: `${base}/login/device`, interval: 5, expires_in: 900 }
+    );
+    const { device_code: deviceCode, user_code: userCode, verification_uri: verificationUri } = codeResponse.data;
+    executor.log(`Enter the code ${userCode} at ${verificationUri}`);
+    await executor.openUrl(verificationUri);
+    if (executor.dryRun) {
+        return '<access-token>';
+    }
+
+    let interval = (codeResponse.data.interval || 5) * 1000;
+    const expiresAt = Date.now() + (codeResponse.data.expires_in || 900) * 1000;
+    while (Date.now() < expiresAt) {
+        await delay(interval);
+        const response = await executor.request({
+            method: 'post',
+            url: `${base}/login/oauth/access_token`,
+            data: {
+                client_id: settings.clientId,
+                device_code: deviceCode,
+                grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+            },
+            headers: { Accept: 'application/json' }
+        });
+        const { access_token: accessToken, error } = response.data;
+        if (accessToken) {
+            executor.log('Access token received!');
+            return accessToken;
+        }
+        if (error === 'slow_down') {
+            interval += 5000;
+        } else if (error !== 'authorization_pending') {
+            throw new Error(`GitHub device authorization failed: ${error}.`);
+        }
+    }
+    throw new Error('Timed out waiting for device authorization.');
+}
+
+async function isTokenValid(token, settings, executor) {
+    try {
+        await executor.request({
+            method: 'get',
+            url: `${settings.apiUrl}/user`,
+            headers: settings.provider.headers(token)
+        });
+        return true;
+    } catch (error) {
+        // Only a rejected token is a reason to log in again; network problems surface later.
+        return error.response?.status !== 401;
+    }
+}
+
+// `options` are the repository options, which carry the provider and its API URL.
+function authSettings(flags = {}, config = {}, options) {
+    const { provider, apiUrl } = options;
+    return {
+        provider,
+        apiUrl,
+        token: flags.token,
+        method: flags.auth || (provider.authMethods.includes(config.authMethod) ? config.authMethod : provider.authMethods[0]),
+        oauthServer: (flags.oauthServer || process.env.SMART_GENESIS_OAUTH_SERVER || config.oauthServerUrl || DEFAULT_OAUTH_SERVER).replace(/\/+$/, ''),
+        clientId: process.env.GITHUB_CLIENT_ID || config.githubClientId,
+        tokenCache: flags.tokenCache !== false && config.tokenCache !== false
+    };
+}
+
+// Resolve an access token: the token passed to the programmatic API, the provider's token variables
+// (e.g. GITHUB_TOKEN), then the cache, then the configured login method. `promptForToken` asks the
+// user for a personal access token when the method is 'token'.
+async function getAccessToken(settings, executor, promptForToken) {
+    const { provider } = settings;
+    if (!provider.authMethods.includes(settings.method)) {
+        throw new Error(`${provider.name} does not support --auth ${settings.method}. Use: ${provider.authMethods.join(', ')}.`);
+    }
+    if (settings.token) {
+        return settings.token;
+    }
+    const envName = provider.tokenEnv.find(name => process.env[name]);
+    if (envName) {
+        executor.log(`[Smart Genesis] Using the ${provider.name} token from ${envName}.`);
+        return process.env[envName];
+    }
+    if (executor.dryRun) {
+        return settings.method === 'token' ? '<access-token>' : loginWith(settings, executor, promptForToken);
+    }
+
+    if (settings.tokenCache) {
+        const token = cachedToken(settings.apiUrl);
+        if (token && await isTokenValid(token, settings, executor)) {
+            executor.log(`[Smart Genesis] Using cached ${provider.name} credentials.`);
+            return token;
+        }
+        if (token) {
+            forgetToken(settings.apiUrl);
+        }
+    }
+
+    const token = await loginWith(settings, executor, promptForToken);
+    if (settings.tokenCache) {
+        cacheToken(settings.apiUrl, token, settings.method);
+        executor.log(`[Smart Genesis] ${provider.name} credentials cached in ${credentialsPath()}.`);
+    }
+    return token;
+}
+
+async function loginWith(settings, executor, promptForToken) {
+    if (settings.method === 'device') {
+        return deviceFlow(settings, executor);
+    }
+    if (settings.method === 'token') {
+        return promptForToken();
+    }
+    return oauthServerFlow(settings, executor);
+}
+
+module.exports = {
+    AUTH_METHODS,
+    DEFAULT_OAUTH_SERVER,
+    credentialsPath,
+    forgetToken,
+    authSettings,
+    getAccessToken
+};
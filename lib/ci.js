@@ -0,0 +1,227 @@
+const path = require('path');
+const YAML = require('yaml');
+const { getStack } = require('./stacks');
+const { POSTGRES_USER, POSTGRES_PASSWORD, databaseName, postgresUrl } = require('./database');
+const { isMonorepo, isSeparateRepos, projectRoot, projectApps } = require('./layout');
+const { taskCommand, namesPackageManager } = require('./workspace');
+const { packageManagerOf, installCommand } = require('./package-manager');
+const { requirementsFile } = require('./python');
+
+const CI_PROVIDERS = ['None', 'GitHub Actions', 'GitLab CI'];
+const CHECKS = ['lint', 'test', 'build'];
+
+const NODE_VERSION = '20';
+const PYTHON_VERSION = '3.12';
+const POSTGRES_IMAGE = 'postgres:16-alpine';
+
+// CI runs on Linux whatever platform the project was generated on, so the environment's
+// interpreter is addressed with POSIX paths here rather than through lib/python.js. `install`
+// receives the stack, whose development requirements the tests need.
+const PYTHON_CI = {
+    'venv + pip': {
+        install: stack => ['python -m venv .venv', `.venv/bin/python -m pip install -r ${requirementsFile(stack.devRequirements)}`],
+        python: '.venv/bin/python'
+    },
+    uv: { setup: 'pip install uv', install: () => ['uv sync'], python: 'uv run python' },
+    poetry: { setup: 'pip install poetry', install: () => ['poetry config virtualenvs.in-project true --local', 'poetry install'], python: 'poetry run python' }
+};
+
+// Plain YAML without anchors, which not every CI reads, and without folded long lines.
+function toYaml(value) {
+    return YAML.stringify(value, { aliasDuplicateObjects: false, lineWidth: 0 });
+}
+
+function relativeDir(root, dir) {
+    return path.relative(root, dir).split(path.sep).join('/') || '.';
+}
+
+// The commands that check a Node app: the stack's lint, test and build tasks.
+function nodeChecks(stack, tool, monorepo) {
+    return CHECKS.map(task => taskCommand(stack, task, tool, monorepo)).filter(Boolean);
+}
+
+// Whether CI has something to run for apps of `stack`: the tests of a Python environment, or
+// Node tasks among lint, test and build.
+function hasChecks(stack) {
+    if (stack.language === 'python') {
+        return Boolean(stack.requirements && stack.test);
+    }
+    return stack.language === 'node' && CHECKS.some(task => stack.tasks && stack.tasks[task]);
+}
+
+// How CI checks one app, or null when its stack has nothing to check:
+//   name      job name, the app's role
+//   dir       app directory relative to the repository root
+//   language  'node' or 'python'
+//   setup     command installing the package or environment manager, if the image lacks it
+//   install   commands installing the dependencies; `rootInstall` when they run at the repository root
+//   checks    commands run in `dir`
+function appJob(app, answers, root) {
+    const stack = getStack(app.framework);
+    if (!stack || !hasChecks(stack)) {
+        return null;
+    }
+    const monorepo = isMonorepo(answers);
+    const job = { name: app.role, dir: relativeDir(root, app.dir), language: stack.language };
+    if (stack.language === 'python') {
+        const python = PYTHON_CI[answers.pythonTool] || PYTHON_CI['venv + pip'];
+        return {
+            ...job,
+            setup: python.setup,
+            install: python.install(stack),
+            checks: [`${python.python} ${stack.test}`],
+            postgres: answers.database === 'PostgreSQL'
+        };
+    }
+    const tool = packageManagerOf(answers);
+    return { ...job, tool, install: [installCommand(tool)], rootInstall: monorepo, checks: nodeChecks(stack, tool, monorepo) };
+}
+
+// The repositories that get CI, each with the jobs of the apps it holds: `[{ root, jobs }]`.
+function ciRepositories(answers, cwd = process.cwd()) {
+    const apps = projectApps(answers, cwd);
+    const repositories = isSeparateRepos(answers)
+        ? apps.map(app => ({ root: app.dir, apps: [app] }))
+        : [{ root: projectRoot(answers, cwd), apps }];
+    return repositories
+        .map(({ root, apps: members }) => ({ root, jobs: members.map(app => appJob(app, answers, root)).filter(Boolean) }))
+        .filter(repository => repository.jobs.length > 0);
+}
+
+function canRunCi(answers) {
+    return ciRepositories(answers).length > 0;
+}
+
+const LOCKFILES = { npm: ['package-lock.json'], pnpm: ['pnpm-lock.yaml', 'pnpm-workspace.yaml'], yarn: ['yarn.lock'], bun: ['bun.lock'] };
+
+// Files outside an app's directory that still change what its job does in a monorepo.
+function workspaceFiles(answers) {
+    return ['package.json', ...(LOCKFILES[packageManagerOf(answers)] || [])];
+}
+
+function changedPaths(job, answers, ciFile) {
+    return [`${job.dir}/**`, ciFile, ...(job.language === 'node' ? workspaceFiles(answers) : [])];
+}
+
+function githubJob(job, answers) {
+    const steps = [{ uses: 'actions/checkout@v4' }];
+    const result = { 'runs-on': 'ubuntu-latest' };
+    if (job.dir !== '.') {
+        result.defaults = { run: { 'working-directory': job.dir } };
+    }
+    if (job.language === 'node') {
+        if (job.tool === 'pnpm') {
+            // The action reads the version from the root package.json when it names one, and
+            // fails when it is given a second one.
+            steps.push(namesPackageManager(answers) ? { uses: 'pnpm/action-setup@v4' } : { uses: 'pnpm/action-setup@v4', with: { version: 10 } });
+        } else if (job.tool === 'bun') {
+            steps.push({ uses: 'oven-sh/setup-bun@v2' });
+        }
+        steps.push({ uses: 'actions/setup-node@v4', with: { 'node-version': NODE_VERSION } });
+        if (job.tool === 'yarn') {
+            steps.push({ run: 'corepack enable' });
+        }
+        steps.push(...job.install.map(command => (job.rootInstall ? { run: command, 'working-directory': '.' } : { run: command })));
+    } else {
+        steps.push({ uses: 'actions/setup-python@v5', with: { 'python-version': PYTHON_VERSION } });
+        if (job.setup) {
+            steps.push({ run: job.setup });
+        }
+        steps.push(...job.install.map(command => ({ run: command })));
+    }
+    steps.push(...job.checks.map(command => ({ run: command })));
+    if (job.postgres) {
+        const database = databaseName(answers.projectName);
+        result.services = {
+            postgres: {
+                image: POSTGRES_IMAGE,
+                env: { POSTGRES_USER, POSTGRES_PASSWORD, POSTGRES_DB: database },
+                ports: ['5432:5432'],
+                options: `--health-cmd "pg_isready -U ${POSTGRES_USER} -d ${database}" --health-interval 5s --health-timeout 5s --health-retries 5`
+            }
+        };
+        result.env = { DATABASE_URL: postgresUrl(answers) };
+    }
+    result.steps = steps;
+    return result;
+}
+
+// One workflow per app in a monorepo, so each runs only when its app (or the workspace) changes;
+// otherwise one workflow with every job.
+function githubWorkflows(jobs, answers) {
+    const trigger = paths => ({
+        push: { branches: ['main'], ...(paths ? { paths } : {}) },
+        pull_request: paths ? { paths } : {}
+    });
+    if (!isMonorepo(answers)) {
+        const workflow = { name: 'CI', on: trigger(), jobs: Object.fromEntries(jobs.map(job => [job.name, githubJob(job, answers)])) };
+        return [{ path: '.github/workflows/ci.yml', content: toYaml(workflow) }];
+    }
+    return jobs.map(job => {
+        const file = `.github/workflows/${job.name}.yml`;
+        const workflow = {
+            name: `CI ${job.name}`,
+            on: trigger(changedPaths(job, answers, file)),
+            jobs: { [job.name]: githubJob(job, answers) }
+        };
+        return { path: file, content: toYaml(workflow) };
+    });
+}
+
+function gitlabJob(job, answers) {
+    const script = [];
+    if (job.language === 'node') {
+        if (job.tool === 'pnpm' || job.tool === 'yarn') {
+            script.push('corepack enable');
+        } else if (job.tool === 'bun') {
+            script.push('npm install -g bun');
+        }
+        if (job.rootInstall) {
+            script.push(...job.install, `cd ${job.dir}`);
+        } else {
+            script.push(...(job.dir !== '.' ? [`cd ${job.dir}`] : []), ...job.install);
+        }
+    } else {
+        script.push(...(job.setup ? [job.setup] : []), ...(job.dir !== '.' ? [`cd ${job.dir}`] : []), ...job.install);
+    }
+    script.push(...job.checks);
+    const result = {
+        stage: 'test',
+        image: job.language === 'node' ? `node:${NODE_VERSION}` : `python:${PYTHON_VERSION}`
+    };
+    if (isMonorepo(answers)) {
+        result.rules = [{ changes: changedPaths(job, answers, '.gitlab-ci.yml') }];
+    }
+    if (job.postgres) {
+        const database = databaseName(answers.projectName);
+        result.services = [POSTGRES_IMAGE];
+        result.variables = {
+            POSTGRES_USER,
+            POSTGRES_PASSWORD,
+            POSTGRES_DB: database,
+            DATABASE_URL: postgresUrl(answers, 'postgres')
+        };
+    }
+    result.script = script;
+    return result;
+}
+
+function gitlabCi(jobs, answers) {
+    const pipeline = { stages: ['test'], ...Object.fromEntries(jobs.map(job => [job.name, gitlabJob(job, answers)])) };
+    return [{ path: '.gitlab-ci.yml', content: toYaml(pipeline) }];
+}
+
+// The CI configuration for `answers.ci` in every repository of the project: GitHub Actions
+// workflows or a .gitlab-ci.yml that install each app's dependencies and run its checks.
+// Returns `[{ path, content }]` with absolute paths.
+function ciFiles(answers, cwd = process.cwd()) {
+    if (!answers.ci || answers.ci === 'None') {
+        return [];
+    }
+    return ciRepositories(answers, cwd).flatMap(({ root, jobs }) => {
+        const files = answers.ci === 'GitLab CI' ? gitlabCi(jobs, answers) : githubWorkflows(jobs, answers);
+        return files.map(file => ({ path: path.join(root, file.path), content: file.content }));
+    });
+}
+
+module.exports = { CI_PROVIDERS, hasChecks, canRunCi, ciFiles };
@@ -0,0 +1,26 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Per-user settings live in ~/.smart-genesis (or $SMART_GENESIS_HOME).
+function configHome() {
+    return process.env.SMART_GENESIS_HOME || path.join(os.homedir(), '.smart-genesis');
+}
+
+function configPath() {
+    return path.join(configHome(), 'config.json');
+}
+
+function readConfig() {
+    const file = configPath();
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+    try {
+        return fs.readJsonSync(file);
+    } catch (error) {
+        throw new Error(`Could not read ${file}: ${error.message}`);
+    }
+}
+
+module.exports = { configHome, configPath, readConfig };
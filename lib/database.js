@@ -0,0 +1,55 @@
+const { pythonEnvironment } = require('./python');
+
+const DATABASES = ['None', 'SQLite', 'PostgreSQL'];
+
+// Credentials of the development PostgreSQL server, shared by .env and docker-compose.yml.
+const POSTGRES_USER = 'app';
+const POSTGRES_PASSWORD = 'app';
+
+function hasDatabase(answers) {
+    return Boolean(answers.database) && answers.database !== 'None';
+}
+
+function databaseName(projectName) {
+    return projectName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'app';
+}
+
+function postgresUrl(answers, host = 'localhost') {
+    return `postgresql://${POSTGRES_USER}:${POSTGRES_PASSWORD}@${host}:5432/${databaseName(answers.projectName)}`;
+}
+
+// What a stack adds for the chosen database (see `database` in lib/stacks/index.js), with
+// every field present so callers can merge it unconditionally.
+function databaseSetup(stack, context) {
+    const setup = stack.database && hasDatabase(context) ? stack.database(context) : {};
+    return {
+        requirements: [],
+        dependencies: {},
+        devDependencies: {},
+        scripts: {},
+        files: {},
+        append: {},
+        env: {},
+        ...setup
+    };
+}
+
+// The command that applies the migrations, for the README, or null without a database.
+function migrateCommand(stack, context) {
+    const { migrate } = databaseSetup(stack, context);
+    if (migrate && stack.language === 'python' && stack.requirements) {
+        return `${pythonEnvironment(context.pythonTool, context, stack.requirements).python} ${migrate}`;
+    }
+    return migrate || null;
+}
+
+module.exports = {
+    DATABASES,
+    POSTGRES_USER,
+    POSTGRES_PASSWORD,
+    hasDatabase,
+    databaseName,
+    postgresUrl,
+    databaseSetup,
+    migrateCommand
+};
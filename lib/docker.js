@@ -0,0 +1,175 @@
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { getStack } = require('./stacks');
+const { BUNDLED_TEMPLATES_DIR, renderTemplate } = require('./templates');
+const { isMonorepo, projectRoot, projectApps } = require('./layout');
+const { POSTGRES_USER, POSTGRES_PASSWORD, databaseName, postgresUrl } = require('./database');
+const { appContext } = require('./scaffold');
+const { packageManagerOf, scriptCommand } = require('./package-manager');
+
+const NODE_IMAGE = 'node:20-alpine';
+
+// How a Node image installs with each package manager, the same way CI sets them up: pnpm and
+// Yarn through corepack, bun from its own image.
+const NODE_TOOLS = {
+    npm: { lockfile: 'package-lock.json', frozen: 'npm ci', install: 'npm install', production: '--omit=dev' },
+    pnpm: { setup: 'corepack enable', lockfile: 'pnpm-lock.yaml', frozen: 'pnpm install --frozen-lockfile', install: 'pnpm install', production: '--prod' },
+    yarn: { setup: 'corepack enable', lockfile: 'yarn.lock', frozen: 'yarn install --frozen-lockfile', install: 'yarn install', production: '--production' },
+    bun: { image: 'oven/bun:1-alpine', lockfile: 'bun.lock', frozen: 'bun install --frozen-lockfile', install: 'bun install', production: '--production' }
+};
+
+// The builder stage's image and commands for the project's package manager. The lockfile is
+// installed from when the build context has one; an app of a monorepo, whose lockfile is at the
+// workspace root, resolves its dependencies again.
+function nodeBuild(context, buildFlags) {
+    const tool = packageManagerOf(context);
+    const { image = NODE_IMAGE, setup, lockfile, frozen, install, production } = NODE_TOOLS[tool] || NODE_TOOLS.npm;
+    const installs = flags => `if [ -f ${lockfile} ]; then ${frozen}${flags}; else ${install}${flags}; fi`;
+    // npm passes arguments on to the script after `--`; the others take them as they are.
+    const flags = buildFlags ? `${tool === 'npm' ? ' --' : ''} ${buildFlags}` : '';
+    return {
+        nodeImage: image,
+        setup,
+        manifests: `package.json ${lockfile}*`,
+        install: installs(''),
+        productionInstall: installs(` ${production}`),
+        build: `${scriptCommand(tool, 'build')}${flags}`,
+        // npm and pnpm drop the dev dependencies in place; Yarn and bun install again without them.
+        prune: { npm: 'npm prune --omit=dev', pnpm: 'pnpm prune --prod' }[tool] || `rm -rf node_modules && ${installs(` ${production}`)}`
+    };
+}
+
+function dockerStack(app) {
+    const stack = getStack(app.framework);
+    return stack && stack.docker ? stack : null;
+}
+
+function canContainerize(answers) {
+    return projectApps(answers).some(app => dockerStack(app));
+}
+
+// docker-compose.yml is written for the layouts that keep every app in one repository
+// next to each other: monorepos and APIs.
+function hasCompose(answers) {
+    return isMonorepo(answers) || answers.projectType === 'API';
+}
+
+function renderDockerfile(stack, context) {
+    const { docker } = stack;
+    return renderTemplate(path.resolve(BUNDLED_TEMPLATES_DIR, docker.dockerfile), {
+        ...context,
+        port: docker.port,
+        buildDir: typeof docker.buildDir === 'function' ? docker.buildDir(context) : docker.buildDir,
+        apiUrlArg: docker.apiUrlArg,
+        ...(stack.language === 'node' ? nodeBuild(context, docker.buildFlags) : {}),
+        prisma: Boolean(docker.prisma && docker.prisma(context)),
+        command: docker.command ? `[${docker.command(context).map(arg => JSON.stringify(arg)).join(', ')}]` : undefined,
+        uv: context.pythonTool === 'uv',
+        poetry: context.pythonTool === 'poetry'
+    });
+}
+
+function dockerignore(stack) {
+    const file = path.join(BUNDLED_TEMPLATES_DIR, 'docker', `${stack.language}.dockerignore`);
+    return fs.readFileSync(fs.existsSync(file) ? file : path.join(BUNDLED_TEMPLATES_DIR, 'docker', 'node.dockerignore'), 'utf-8');
+}
+
+// Host ports for the services: the container port, unless another service already uses it.
+// nginx's port 80 is published as 8080 so the stack runs without root privileges on the host.
+function assignHostPorts(services) {
+    const used = new Set();
+    for (const service of services) {
+        let port = service.port === 80 ? 8080 : service.port;
+        while (used.has(port)) {
+            port += 1;
+        }
+        used.add(port);
+        service.hostPort = port;
+    }
+}
+
+function composeFile(answers, services, root) {
+    const compose = { services: {} };
+    const backend = services.find(service => service.role === 'backend');
+    const frontend = services.find(service => service.role === 'frontend');
+    const database = answers.database === 'PostgreSQL' ? databaseName(answers.projectName) : null;
+    const buildPath = dir => `./${path.relative(root, dir).split(path.sep).join('/')}`.replace(/\/$/, '');
+
+    if (frontend) {
+        const { docker } = frontend.stack;
+        const service = {
+            build: { context: buildPath(frontend.dir) },
+            ports: [`${frontend.hostPort}:${docker.port}`]
+        };
+        if (backend) {
+            // The browser reaches the backend through its published port; a frontend that proxies
+            // the API (`proxiesApi`) reaches it through the compose network instead.
+            if (docker.apiUrlArg) {
+                const apiUrl = docker.proxiesApi
+                    ? `http://backend:${backend.stack.docker.port}`
+                    : `http://localhost:${backend.hostPort}`;
+                service.build.args = { [docker.apiUrlArg]: apiUrl };
+            }
+            service.depends_on = ['backend'];
+        }
+        compose.services.frontend = service;
+    }
+
+    if (backend) {
+        const { docker } = backend.stack;
+        const service = {
+            build: { context: buildPath(backend.dir) },
+            ports: [`${backend.hostPort}:${docker.port}`],
+            environment: { PORT: String(docker.port), ...docker.environment }
+        };
+        if (frontend) {
+            service.environment.CORS_ORIGINS = `http://localhost:${frontend.hostPort}`;
+        }
+        if (database) {
+            service.environment.DATABASE_URL = postgresUrl(answers, 'db');
+            service.depends_on = { db: { condition: 'service_healthy' } };
+        }
+        compose.services.backend = service;
+    }
+
+    if (database) {
+        compose.services.db = {
+            image: 'postgres:16-alpine',
+            environment: { POSTGRES_USER, POSTGRES_PASSWORD, POSTGRES_DB: database },
+            ports: ['5432:5432'],
+            volumes: ['db-data:/var/lib/postgresql/data'],
+            healthcheck: {
+                test: ['CMD-SHELL', `pg_isready -U ${POSTGRES_USER} -d ${database}`],
+                interval: '5s',
+                timeout: '5s',
+                retries: 5
+            }
+        };
+        compose.volumes = { 'db-data': {} };
+    }
+    return YAML.stringify(compose);
+}
+
+// The files that containerize the project: a Dockerfile and .dockerignore per app that has
+// a Docker setup, and docker-compose.yml at the project root where the layout allows one.
+// Returns `[{ path, content }]` with absolute paths.
+function dockerFiles(answers, cwd = process.cwd()) {
+    const services = projectApps(answers, cwd)
+        .map(app => ({ ...app, stack: dockerStack(app) }))
+        .filter(app => app.stack)
+        .map(app => ({ ...app, port: app.stack.docker.port }));
+    const files = services.flatMap(service => [
+        { path: path.join(service.dir, 'Dockerfile'), content: renderDockerfile(service.stack, appContext(answers, service.dir)) },
+        { path: path.join(service.dir, '.dockerignore'), content: dockerignore(service.stack) }
+    ]);
+    if (hasCompose(answers) && services.length > 0) {
+        // The frontend comes first and keeps its usual port; a backend on the same port moves up.
+        assignHostPorts(services);
+        const root = projectRoot(answers, cwd);
+        files.push({ path: path.join(root, 'docker-compose.yml'), content: composeFile(answers, services, root) });
+    }
+    return files;
+}
+
+module.exports = { canContainerize, hasCompose, dockerFiles };
@@ -0,0 +1,151 @@
+const fs = require('fs-extra');
+const { stacksFor, selectedStacks } = require('./stacks');
+const { systemPython } = require('./python');
+const { isMonorepo, isSeparateRepos, projectApps, projectRoot } = require('./layout');
+const { packageManagerOf } = require('./package-manager');
+
+// The tools a scaffold run can call: the command printing the version, the version any use of the
+// tool needs and how to get it. `version: false` tools are only checked for running at all.
+const TOOLS = {
+    node: { command: 'node --version', minimum: '18.0.0', install: 'Install Node.js from https://nodejs.org.' },
+    npm: { command: 'npm --version', install: 'npm is installed with Node.js.' },
+    npx: { command: 'npx --version', install: 'npx is installed with npm.' },
+    pnpm: { command: 'pnpm --version', install: 'Run `corepack enable pnpm` or `npm install -g pnpm`.' },
+    yarn: { command: 'yarn --version', install: 'Run `corepack enable yarn` or `npm install -g yarn`.' },
+    bun: { command: 'bun --version', install: 'See https://bun.sh/docs/installation.' },
+    // The generated pyproject.toml files require Python 3.9.
+    python: { command: `${systemPython()} --version`, minimum: '3.9.0', install: 'Install Python 3 from https://www.python.org.' },
+    venv: {
+        command: `${systemPython()} -c "import venv, ensurepip"`,
+        version: false,
+        install: 'Install the venv module of your Python, e.g. `apt install python3-venv`.'
+    },
+    uv: { command: 'uv --version', install: 'See https://docs.astral.sh/uv/getting-started/installation/.' },
+    // Poetry reads the [project] table of the generated pyproject.toml from 2.0 on.
+    poetry: { command: 'poetry --version', minimum: '2.0.0', install: 'See https://python-poetry.org/docs/#installation.' },
+    bash: { command: 'bash --version', install: 'Install Bash, e.g. with Git for Windows.' },
+    git: { command: 'git --version', install: 'Install Git from https://git-scm.com.' }
+};
+
+// What a Python environment is created with, per `pythonTool`; uv brings its own interpreter.
+const PYTHON_TOOL_NEEDS = { 'venv + pip': ['python', 'venv'], uv: ['uv'], poetry: ['python', 'poetry'] };
+
+// The tools every app of `stack` needs. Node apps need their package manager, and npx where it
+// runs the generators (see lib/package-manager.js).
+function languageNeeds(stack, answers) {
+    if (stack.language === 'python' && stack.requirements) {
+        return PYTHON_TOOL_NEEDS[answers.pythonTool] || PYTHON_TOOL_NEEDS['venv + pip'];
+    }
+    if (stack.language === 'node') {
+        const tool = packageManagerOf(answers);
+        return ['node', tool, ...(['npm', 'yarn'].includes(tool) ? ['npx'] : [])];
+    }
+    return stack.language === 'bash' ? ['bash'] : [];
+}
+
+// Tools of plugin stacks that are not listed above print their version with `--version`.
+function toolSpec(name) {
+    return TOOLS[name] || { command: `${name} --version`, install: `Install ${name}.` };
+}
+
+function parseVersion(output) {
+    const match = /(\d+)\.(\d+)(?:\.(\d+))?/.exec(output);
+    return match ? [match[1], match[2], match[3] || '0'].join('.') : null;
+}
+
+function compareVersions(a, b) {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let index = 0; index < Math.max(left.length, right.length); index += 1) {
+        const difference = (left[index] || 0) - (right[index] || 0);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+    return 0;
+}
+
+// Creating and pushing the repositories only needs Git.
+function repositoryTools() {
+    return [{ name: 'git', minimum: null, neededFor: ['repository creation'] }];
+}
+
+function allStacks() {
+    return [...new Set(['frontend', 'backend', 'cli'].flatMap(stacksFor))];
+}
+
+// The tools the answers need, as `[{ name, minimum, neededFor }]` where `neededFor` lists what uses
+// the tool, e.g. a stack's name. Stacks raise the minimum versions with their `tools`. Until the
+// answers name a project type, the tools of every stack are listed. Git is needed with `createGit`.
+function requiredTools(answers) {
+    const needs = new Map();
+    const need = (name, reason, minimum = null) => {
+        const entry = needs.get(name) || { name, minimum: toolSpec(name).minimum || null, neededFor: [] };
+        if (minimum && (!entry.minimum || compareVersions(minimum, entry.minimum) > 0)) {
+            entry.minimum = minimum;
+        }
+        if (!entry.neededFor.includes(reason)) {
+            entry.neededFor.push(reason);
+        }
+        needs.set(name, entry);
+    };
+    for (const stack of answers.projectType ? selectedStacks(answers) : allStacks()) {
+        languageNeeds(stack, answers).forEach(tool => need(tool, stack.name));
+        for (const [tool, minimum] of Object.entries(stack.tools || {})) {
+            need(tool, stack.name, minimum);
+        }
+    }
+    if (isMonorepo(answers)) {
+        need(packageManagerOf(answers), 'the monorepo workspace');
+    }
+    const tools = [...needs.values()];
+    return answers.createGit ? [...tools, ...repositoryTools()] : tools;
+}
+
+// Run each tool's version command through `executor`. Adds `version` (null when it is not printed)
+// and `status`: 'ok', 'missing' or 'outdated'.
+function checkTools(requirements, executor) {
+    return requirements.map(requirement => {
+        const spec = toolSpec(requirement.name);
+        let output;
+        try {
+            output = executor.output(spec.command);
+        } catch (error) {
+            return { ...requirement, version: null, status: 'missing' };
+        }
+        const version = spec.version === false ? null : parseVersion(output);
+        const outdated = version && requirement.minimum && compareVersions(version, requirement.minimum) < 0;
+        return { ...requirement, version, status: outdated ? 'outdated' : 'ok' };
+    });
+}
+
+// One line per tool that is missing or too old, with how to fix it.
+function toolProblems(results) {
+    return results.filter(result => result.status !== 'ok').map(result => {
+        const last = result.neededFor[result.neededFor.length - 1];
+        const users = result.neededFor.length > 1 ? `${result.neededFor.slice(0, -1).join(', ')} and ${last}` : last;
+        const verb = result.neededFor.length > 1 ? 'need' : 'needs';
+        const install = toolSpec(result.name).install;
+        return result.status === 'missing'
+            ? `${result.name} is not installed or does not run, but ${users} ${verb} it. ${install}`
+            : `${result.name} ${result.version} is older than ${result.minimum}, which ${users} ${verb}. ${install}`;
+    });
+}
+
+function formatToolCheck(result) {
+    const version = result.version ? ` ${result.version}` : '';
+    const minimum = result.minimum ? ` (${result.minimum} or newer)` : '';
+    return `  ${result.status.padEnd(9)} ${result.name}${version}${minimum}  for ${result.neededFor.join(', ')}`;
+}
+
+// The directories a run creates: the project directory, or one per app of separate repositories.
+function targetDirs(answers, cwd = process.cwd()) {
+    return isSeparateRepos(answers) ? projectApps(answers, cwd).map(app => app.dir) : [projectRoot(answers, cwd)];
+}
+
+// Target directories that are already taken: non-empty directories or other files.
+function existingTargets(answers, cwd = process.cwd()) {
+    return targetDirs(answers, cwd).filter(dir => fs.existsSync(dir) && (!fs.statSync(dir).isDirectory() || fs.readdirSync(dir).length > 0));
+}
+
+module.exports = { requiredTools, repositoryTools, checkTools, toolProblems, formatToolCheck, existingTargets };
@@ -0,0 +1,291 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execSync } = require('child_process');
+const axios = require('axios');
+const open = require('open').default;
+
+// Raised when a scaffolding step fails, carrying enough detail to report it without the raw error.
+class StepError extends Error {
+    constructor(step, exitCode, cause) {
+        const where = step.cwd ? ` in ${step.cwd}` : '';
+        const code = exitCode !== undefined && exitCode !== null ? ` with exit code ${exitCode}` : '';
+        super(`Step "${step.command}" failed${where}${code}.`);
+        this.name = 'StepError';
+        this.step = step;
+        this.exitCode = exitCode;
+        this.cause = cause;
+    }
+}
+
+// The outermost directory that `ensureDirSync(dir)` would create, or null when it already exists.
+function firstMissingAncestor(dir) {
+    let missing = null;
+    let current = path.resolve(dir);
+    while (!fs.existsSync(current)) {
+        missing = current;
+        const parent = path.dirname(current);
+        if (parent === current) {
+            break;
+        }
+        current = parent;
+    }
+    return missing;
+}
+
+// Runs `command` in `cwd` with its output on the terminal, or returns the output with `capture`.
+// Throws when the command fails, with its exit code as `status`.
+function runShell(command, { cwd, capture = false } = {}) {
+    if (capture) {
+        return execSync(command, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'], timeout: 15000 });
+    }
+    execSync(command, { stdio: 'inherit', cwd });
+    return undefined;
+}
+
+// Every side effect of a scaffold run (shell commands, directories, files, HTTP calls and
+// browser launches) goes through an executor. In dry-run mode the executor only records
+// the steps so they can be printed as a plan instead of being executed. Otherwise it
+// remembers every path it created so a failed run can be rolled back.
+//   exec, http, openUrl  replace how commands run (see `runShell`), HTTP requests are sent
+//                        (axios-compatible) and URLs are opened, e.g. with fakes in tests
+//   onEvent              receives `{ type: 'step', step }` for each step, and `{ type: 'log' }`
+//                        and `{ type: 'warning' }` with the `message` of each log line and warning
+//   quiet, silent        print to stderr instead of stdout, or nothing at all
+function createExecutor(options = {}) {
+    const dryRun = Boolean(options.dryRun);
+    const quiet = Boolean(options.quiet);
+    const silent = Boolean(options.silent);
+    const exec = options.exec || runShell;
+    const http = options.http || axios;
+    const openBrowser = options.openUrl || open;
+    const onEvent = options.onEvent || (() => {});
+    const steps = [];
+    const warnings = [];
+    // Paths created (or overwritten, with their previous content) in creation order.
+    const created = [];
+
+    function record(step) {
+        steps.push(step);
+        onEvent({ type: 'step', step });
+    }
+
+    function log(...args) {
+        onEvent({ type: 'log', message: args.join(' ') });
+        if (silent) {
+            return;
+        }
+        // Keep stdout clean for machine-readable output such as `--json`.
+        if (quiet) {
+            console.error(...args);
+        } else {
+            console.log(...args);
+        }
+    }
+
+    // Something that went wrong without failing the run, e.g. a repository that could not be created.
+    function warn(message) {
+        warnings.push(message);
+        onEvent({ type: 'warning', message });
+        if (!silent) {
+            console.error(message);
+        }
+    }
+
+    function run(command, cwd = process.cwd()) {
+        const step = { type: 'command', command, cwd };
+        record(step);
+        log(`Running: ${command} in ${cwd}`);
+        if (dryRun) {
+            return;
+        }
+        try {
+            exec(command, { cwd });
+        } catch (error) {
+            throw new StepError(step, error.status, error);
+        }
+    }
+
+    // The output of a command that only inspects the machine, such as `git --version`. It runs in
+    // dry runs too and is not a step of the plan.
+    function output(command, cwd = process.cwd()) {
+        return String(exec(command, { cwd, capture: true }));
+    }
+
+    function ensureDir(dir) {
+        record({ type: 'mkdir', path: dir });
+        if (dryRun) {
+            return;
+        }
+        const missing = firstMissingAncestor(dir);
+        fs.ensureDirSync(dir);
+        if (missing) {
+            created.push({ path: missing });
+        }
+    }
+
+    function writeFile(filePath, content) {
+        record({ type: 'write', path: filePath, content });
+        if (dryRun) {
+            return;
+        }
+        const previous = fs.existsSync(filePath) ? fs.readFileSync(filePath) : undefined;
+        fs.writeFileSync(filePath, content, 'utf-8');
+        created.push({ path: filePath, previous });
+    }
+
+    function appendFile(filePath, content) {
+        record({ type: 'append', path: filePath, content });
+        if (dryRun) {
+            return;
+        }
+        const previous = fs.existsSync(filePath) ? fs.readFileSync(filePath) : undefined;
+        fs.appendFileSync(filePath, content, 'utf-8');
+        created.push({ path: filePath, previous });
+    }
+
+    // Merge changes into a JSON file another tool generated, e.g. scripts into a package.json.
+    // `update` receives the parsed content and returns the new one.
+    function updateJson(filePath, update) {
+        record({ type: 'update', path: filePath, update });
+        if (dryRun) {
+            return;
+        }
+        const previous = fs.readFileSync(filePath);
+        const content = update(JSON.parse(previous.toString('utf-8')));
+        fs.writeFileSync(filePath, `${JSON.stringify(content, null, 2)}\n`, 'utf-8');
+        created.push({ path: filePath, previous });
+    }
+
+    // Delete a directory or file, e.g. a target directory the user chose to overwrite. Until the run
+    // succeeds (`discardBackups`) it is only moved into a hidden sibling directory, so a rollback can
+    // bring it back.
+    function remove(target) {
+        record({ type: 'remove', path: target });
+        if (dryRun) {
+            return;
+        }
+        const backup = fs.mkdtempSync(path.join(path.dirname(target), `.${path.basename(target)}.smart-genesis-backup-`));
+        fs.moveSync(target, path.join(backup, path.basename(target)));
+        created.push({ path: target, backup });
+    }
+
+    // Where the targets of `remove` are kept until the run succeeds: `[{ path, backup }]`.
+    function backups() {
+        return created.filter(entry => entry.backup).map(entry => ({ path: entry.path, backup: path.join(entry.backup, path.basename(entry.path)) }));
+    }
+
+    // Delete what `remove` moved aside, once the run no longer needs to be rolled back.
+    function discardBackups() {
+        for (const entry of created.filter(item => item.backup)) {
+            fs.removeSync(entry.backup);
+        }
+        created.splice(0, created.length, ...created.filter(entry => !entry.backup));
+    }
+
+    // Undo everything this executor created, newest first. Overwritten files get their old content
+    // back and removed targets are moved back into place.
+    function rollback() {
+        const removed = [];
+        for (const entry of [...created].reverse()) {
+            if (entry.backup) {
+                fs.removeSync(entry.path);
+                fs.moveSync(path.join(entry.backup, path.basename(entry.path)), entry.path);
+                fs.removeSync(entry.backup);
+            } else if (entry.previous !== undefined) {
+                if (fs.existsSync(path.dirname(entry.path))) {
+                    fs.writeFileSync(entry.path, entry.previous);
+                }
+            } else if (fs.existsSync(entry.path)) {
+                fs.removeSync(entry.path);
+                removed.push(entry.path);
+            }
+        }
+        created.length = 0;
+        return removed;
+    }
+
+    function createdPaths() {
+        return created.filter(entry => entry.previous === undefined && !entry.backup).map(entry => entry.path);
+    }
+
+    // `dryRunData` stands in for the response body when nothing is actually sent.
+    async function request(config, dryRunData = {}) {
+        const method = (config.method || 'get').toUpperCase();
+        record({ type: 'http', method, url: config.url, body: config.data });
+        if (dryRun) {
+            return { status: 200, data: dryRunData };
+        }
+        return http(config);
+    }
+
+    async function openUrl(url) {
+        record({ type: 'open', url });
+        if (!dryRun) {
+            await openBrowser(url);
+        }
+    }
+
+    return { dryRun, steps, warnings, log, warn, run, output, ensureDir, writeFile, appendFile, updateJson, remove, request, openUrl, rollback, createdPaths, backups, discardBackups };
+}
+
+function relativePath(baseDir, target) {
+    return path.relative(baseDir, target) || '.';
+}
+
+// Paths are made relative to `baseDir` so plans are stable across machines and can be snapshotted.
+function planSteps(steps, baseDir = process.cwd()) {
+    return steps.map(step => {
+        if (step.type === 'command') {
+            return { ...step, cwd: relativePath(baseDir, step.cwd) };
+        }
+        if (step.type === 'write' || step.type === 'append') {
+            const content = Buffer.isBuffer(step.content) ? step.content.toString('utf-8') : step.content;
+            return { ...step, path: relativePath(baseDir, step.path), content };
+        }
+        if (step.type === 'mkdir' || step.type === 'remove') {
+            return { ...step, path: relativePath(baseDir, step.path) };
+        }
+        if (step.type === 'update') {
+            return { type: step.type, path: relativePath(baseDir, step.path) };
+        }
+        return { ...step };
+    });
+}
+
+function formatStep(step) {
+    switch (step.type) {
+        case 'command':
+            return `run    ${step.command}  (in ${step.cwd})`;
+        case 'mkdir':
+            return `mkdir  ${step.path}`;
+        case 'update':
+            return `update ${step.path}`;
+        case 'remove':
+            return `remove ${step.path}`;
+        case 'append':
+            return `append ${step.path}  (${Buffer.byteLength(step.content, 'utf-8')} bytes)`;
+        case 'write':
+            return `write  ${step.path}  (${Buffer.byteLength(step.content, 'utf-8')} bytes)`;
+        case 'http':
+            return `${step.method.padEnd(6)} ${step.url}`;
+        case 'open':
+            return `open   ${step.url}`;
+        default:
+            return `${step.type}`;
+    }
+}
+
+function printPlan(plannedSteps, options = {}) {
+    const steps = planSteps(plannedSteps, options.baseDir);
+    if (options.json) {
+        console.log(JSON.stringify({ dryRun: true, answers: options.answers, steps }, null, 2));
+        return;
+    }
+    console.log(`\n[Smart Genesis] Dry run: ${steps.length} steps planned, nothing was executed.\n`);
+    const width = String(steps.length).length;
+    steps.forEach((step, index) => {
+        console.log(`  ${String(index + 1).padStart(width)}. ${formatStep(step)}`);
+    });
+}
+
+module.exports = { StepError, createExecutor, planSteps, printPlan };
@@ -0,0 +1,28 @@
+const path = require('path');
+const { CI_PROVIDERS, canRunCi, ciFiles } = require('../ci');
+
+module.exports = {
+    name: 'ci',
+    description: 'GitHub Actions workflows or a .gitlab-ci.yml that install, lint, test and build the apps',
+    questions: () => [
+        {
+            type: 'list',
+            name: 'ci',
+            message: 'Which CI should run the checks of your apps?',
+            choices: CI_PROVIDERS.filter(provider => provider !== 'None'),
+            default: 'GitHub Actions'
+        }
+    ],
+    check: answers => {
+        if (answers.ci && answers.ci !== 'None') {
+            return [`The project already has ${answers.ci} configured.`];
+        }
+        return canRunCi(answers) ? [] : ['None of the project\'s apps has checks to run in CI.'];
+    },
+    apply: (answers, executor, cwd) => {
+        for (const file of ciFiles(answers, cwd)) {
+            executor.ensureDir(path.dirname(file.path));
+            executor.writeFile(file.path, file.content);
+        }
+    }
+};
@@ -0,0 +1,70 @@
+const { getStack } = require('../stacks');
+const { DATABASES, hasDatabase, migrateCommand } = require('../database');
+const { dockerFiles } = require('../docker');
+const { ciFiles } = require('../ci');
+const { backendStack, isMonorepo, projectRoot, projectApps, withConnection } = require('../layout');
+const { packageManagerOf, installCommand } = require('../package-manager');
+const { appContext, stackEnvironment, setupEnvironment, stackOutput, writeStackOutput } = require('../scaffold');
+
+module.exports = {
+    name: 'database',
+    description: 'a database with the backend\'s ORM, a sample model and its initial migration',
+    questions: answers => [
+        {
+            type: 'list',
+            name: 'database',
+            message: 'Which database should the backend use?',
+            choices: DATABASES.filter(database => database !== 'None'),
+            default: 'SQLite'
+        },
+        ...(backendStack(answers) || { prompts: [] }).prompts
+    ],
+    check: answers => {
+        const stack = backendStack(answers);
+        if (!stack) {
+            return ['The project has no backend.'];
+        }
+        if (!stack.database) {
+            return [`The ${stack.name} backend has no database setup.`];
+        }
+        return hasDatabase(answers) ? [`The project already uses ${answers.database}.`] : [];
+    },
+    // The backend is written again with the database, the same way a new project would be;
+    // files the database does not change come out as they were generated.
+    apply: (answers, executor, cwd) => {
+        const context = withConnection(answers);
+        for (const app of projectApps(answers, cwd).filter(app => app.role === 'backend')) {
+            const stack = getStack(app.framework);
+            const env = stackEnvironment(stack, context);
+            if (env) {
+                setupEnvironment(env, app.dir, executor);
+            }
+            const backendContext = appContext(context, app.dir);
+            writeStackOutput(stackOutput(stack, backendContext), app.dir, executor);
+            // Node backends install the ORM packages now in package.json; a monorepo's workspace
+            // installs them from the root.
+            if (stack.language === 'node' && isMonorepo(answers)) {
+                executor.run(installCommand(packageManagerOf(answers)), projectRoot(answers, cwd));
+            } else {
+                for (const command of stack.install(backendContext)) {
+                    executor.run(command, app.dir);
+                }
+            }
+        }
+        if (answers.containerize) {
+            for (const file of dockerFiles(answers, cwd)) {
+                executor.writeFile(file.path, file.content);
+            }
+        }
+        // CI jobs of a PostgreSQL backend need the database as a service.
+        for (const file of ciFiles(answers, cwd)) {
+            executor.writeFile(file.path, file.content);
+        }
+    },
+    notes: (answers, cwd) => {
+        const context = withConnection(answers);
+        return projectApps(answers, cwd)
+            .filter(app => app.role === 'backend')
+            .map(app => `Apply the migrations in ${app.dir} with: ${migrateCommand(getStack(app.framework), context)}`);
+    }
+};
@@ -0,0 +1,18 @@
+const { canContainerize, dockerFiles } = require('../docker');
+
+module.exports = {
+    name: 'docker',
+    description: 'Dockerfiles, .dockerignore and docker-compose.yml',
+    check: answers => {
+        if (answers.containerize) {
+            return ['The project is already containerized.'];
+        }
+        return canContainerize(answers) ? [] : ['None of the project\'s apps has a Docker setup.'];
+    },
+    enable: answers => ({ ...answers, containerize: true }),
+    apply: (answers, executor, cwd) => {
+        for (const file of dockerFiles(answers, cwd)) {
+            executor.writeFile(file.path, file.content);
+        }
+    }
+};
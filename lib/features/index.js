@@ -0,0 +1,38 @@
+// A feature is something `smart-genesis add <feature>` can bring to a project generated earlier:
+//
+//   name         argument of `add`, e.g. 'docker'
+//   description  shown in the help of `add`
+//   questions    (answers) => prompts for what the feature needs, unless given as flags
+//   check        (answers) => problems that rule the feature out for the recorded answers
+//   enable       (answers) => the project's answers once the feature is part of it
+//   apply        (answers, executor, cwd) => writes the feature for the project generated from
+//                `answers` in `cwd` through `executor`. It runs against a dry-run executor first,
+//                so every change can be checked against the project manifest before any is made.
+//   notes        optional (answers, cwd) => lines printed once the feature is added, e.g. next steps
+const features = new Map();
+
+function registerFeature(feature) {
+    features.set(feature.name, {
+        questions: () => [],
+        check: () => [],
+        enable: answers => answers,
+        notes: () => [],
+        ...feature
+    });
+}
+
+function getFeature(name) {
+    return features.get(String(name).toLowerCase());
+}
+
+function featureNames() {
+    return [...features.keys()];
+}
+
+[
+    require('./docker'),
+    require('./database'),
+    require('./ci')
+].forEach(registerFeature);
+
+module.exports = { registerFeature, getFeature, featureNames };
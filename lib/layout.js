@@ -0,0 +1,55 @@
+const path = require('path');
+const { getStack, frameworkFor } = require('./stacks');
+
+function isMonorepo(answers) {
+    return answers.projectType === 'Web App' && answers.includeBackend && answers.repoStructure === 'Monorepo';
+}
+
+function isSeparateRepos(answers) {
+    return answers.projectType === 'Web App' && answers.includeBackend && answers.repoStructure === 'Separate Repos';
+}
+
+// The directory holding the whole project, or null when the apps live in separate repositories.
+function projectRoot(answers, cwd = process.cwd()) {
+    return isSeparateRepos(answers) ? null : path.join(cwd, answers.projectName);
+}
+
+// Every app the answers produce: `{ role, framework, dir }` with absolute directories.
+function projectApps(answers, cwd = process.cwd()) {
+    const app = (role, dir) => ({ role, framework: frameworkFor(answers, role), dir });
+    if (isMonorepo(answers)) {
+        const root = projectRoot(answers, cwd);
+        return [app('frontend', path.join(root, 'apps/frontend')), app('backend', path.join(root, 'apps/backend'))];
+    }
+    if (isSeparateRepos(answers)) {
+        return [
+            app('frontend', path.join(cwd, `${answers.projectName}-frontend`)),
+            app('backend', path.join(cwd, `${answers.projectName}-backend`))
+        ];
+    }
+    const role = { 'Web App': 'frontend', 'API': 'backend' }[answers.projectType] || 'cli';
+    return [app(role, projectRoot(answers, cwd))];
+}
+
+// The stack of the project's backend, or null when it has none.
+function backendStack(answers) {
+    const hasBackend = answers.projectType === 'API' || (answers.projectType === 'Web App' && answers.includeBackend);
+    return hasBackend ? getStack(frameworkFor(answers, 'backend')) || null : null;
+}
+
+// The answers plus how the apps of a Web App find each other during development: the frontend
+// calls `apiUrl` (the backend's dev server on `apiPort`), the backend allows `frontendOrigin`
+// through CORS. Both stay empty when the project has no such counterpart.
+function withConnection(answers) {
+    const frontend = answers.projectType === 'Web App' ? getStack(frameworkFor(answers, 'frontend')) : null;
+    const backend = backendStack(answers);
+    const apiPort = backend && backend.devPort;
+    return {
+        ...answers,
+        apiPort,
+        apiUrl: frontend && apiPort ? `http://localhost:${apiPort}` : '',
+        frontendOrigin: backend && frontend && frontend.devPort ? `http://localhost:${frontend.devPort}` : ''
+    };
+}
+
+module.exports = { isMonorepo, isSeparateRepos, projectRoot, projectApps, backendStack, withConnection };
@@ -0,0 +1,129 @@
+const { builtinModules } = require('module');
+
+function normalizeProjectNameForDjango(name) {
+    // Convert to lowercase
+    let normalized = name.toLowerCase();
+    // Replace hyphens and spaces with underscores
+    normalized = normalized.replace(/[-\s]+/g, '_');
+    // Remove any character that is not alphanumeric or underscore
+    normalized = normalized.replace(/[^a-z0-9_]/g, '');
+    // Ensure it doesn't start with a number: prepend an underscore if it does
+    if (/^[0-9]/.test(normalized)) {
+        normalized = '_' + normalized;
+    }
+    return normalized;
+}
+
+// GitHub's limit; GitLab and Gitea allow longer names.
+const MAX_REPOSITORY_NAME = 100;
+const MAX_PACKAGE_NAME = 214;
+// Separate repositories are named `<project>-frontend` and `<project>-backend`.
+const REPOSITORY_SUFFIX = '-frontend';
+
+const NPM_RESERVED = ['node_modules', 'favicon.ico'];
+
+const PYTHON_KEYWORDS = [
+    'false', 'none', 'true', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+    'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda',
+    'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+];
+
+// Modules a generated Python package would shadow: `django-admin startproject` refuses these names,
+// and a CLI package named after one breaks its own imports.
+const PYTHON_MODULES = [
+    'abc', 'argparse', 'array', 'ast', 'asyncio', 'base64', 'code', 'collections', 'copy', 'csv', 'datetime',
+    'decimal', 'email', 'enum', 'functools', 'glob', 'hashlib', 'html', 'http', 'io', 'json', 'logging', 'math',
+    'os', 'pathlib', 'pickle', 'platform', 'queue', 'random', 're', 'secrets', 'select', 'shutil', 'signal',
+    'site', 'socket', 'sqlite3', 'ssl', 'string', 'struct', 'subprocess', 'sys', 'tempfile', 'test', 'threading',
+    'time', 'token', 'types', 'typing', 'unittest', 'urllib', 'uuid', 'venv', 'warnings', 'xml', 'zipfile',
+    'django', 'rest_framework', 'corsheaders', 'dotenv', 'gunicorn', 'pip', 'pytest', 'setuptools'
+];
+
+// The Python package generated for the project, as Django and the CLI stacks name it.
+function pythonModuleName(name) {
+    return normalizeProjectNameForDjango(name).replace(/^_+/, '');
+}
+
+// Why `name` cannot be used as the project's directory and repository names, which every project has.
+function repositoryNameProblems(name, separateRepos) {
+    const problems = [];
+    if (/[^A-Za-z0-9._-]/.test(name)) {
+        problems.push('repository and directory names may only contain letters, digits, ".", "_" and "-"');
+    }
+    if (name === '.' || name === '..' || /\.git$/i.test(name)) {
+        problems.push('repository names cannot be "." or ".." or end in ".git"');
+    }
+    const limit = MAX_REPOSITORY_NAME - (separateRepos ? REPOSITORY_SUFFIX.length : 0);
+    if (name.length > limit) {
+        problems.push(`repository names are limited to ${MAX_REPOSITORY_NAME} characters${separateRepos ? `, including "${REPOSITORY_SUFFIX}"` : ''}`);
+    }
+    return problems;
+}
+
+// Why `name` cannot be the npm package name of a Node app; create-next-app and friends also
+// derive the package name from the directory.
+function npmNameProblems(name) {
+    const problems = [];
+    if (name !== name.toLowerCase()) {
+        problems.push('npm package names must be lowercase');
+    }
+    if (/^[._]/.test(name)) {
+        problems.push('npm package names cannot start with "." or "_"');
+    }
+    if (name.length > MAX_PACKAGE_NAME) {
+        problems.push(`npm package names are limited to ${MAX_PACKAGE_NAME} characters`);
+    }
+    const lower = name.toLowerCase();
+    if (NPM_RESERVED.includes(lower) || builtinModules.includes(lower)) {
+        problems.push(`"${lower}" is reserved by npm or Node.js`);
+    }
+    return problems;
+}
+
+// Why `name` cannot be the distribution and package name of a Python app.
+function pythonNameProblems(name) {
+    const problems = [];
+    if (!/^[A-Za-z0-9](?:.*[A-Za-z0-9])?$/.test(name)) {
+        problems.push('Python distribution names must start and end with a letter or digit');
+    }
+    const module = pythonModuleName(name);
+    if (PYTHON_KEYWORDS.includes(module)) {
+        problems.push(`"${module}" is a Python keyword`);
+    } else if (PYTHON_MODULES.includes(module)) {
+        problems.push(`the Python package "${module}" would shadow the module of the same name`);
+    }
+    return problems;
+}
+
+// The closest name that passes every rule: lowercase words joined by dashes, e.g. "My App!" or "MyApp" -> "my-app".
+function suggestProjectName(name) {
+    let suggestion = String(name).trim()
+        .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9._-]+/g, '-')
+        .replace(/-{2,}/g, '-')
+        .replace(/\.git$/, '')
+        .slice(0, MAX_REPOSITORY_NAME - REPOSITORY_SUFFIX.length)
+        .replace(/^[-._]+|[-._]+$/g, '');
+    if (!suggestion) {
+        return 'my-project';
+    }
+    const module = pythonModuleName(suggestion);
+    if (NPM_RESERVED.includes(suggestion) || builtinModules.includes(suggestion) || PYTHON_KEYWORDS.includes(module) || PYTHON_MODULES.includes(module)) {
+        suggestion = `${suggestion}-app`;
+    }
+    return suggestion;
+}
+
+// The naming rules `name` breaks. `rules` selects the ones beyond directory and repository names:
+// `node` for projects with a Node app, `python` for projects with a Python package, and
+// `separateRepos` when the name gets a `-frontend` or `-backend` suffix.
+function projectNameProblems(name, rules = {}) {
+    return [
+        ...repositoryNameProblems(name, rules.separateRepos),
+        ...(rules.node ? npmNameProblems(name) : []),
+        ...(rules.python ? pythonNameProblems(name) : [])
+    ];
+}
+
+module.exports = { normalizeProjectNameForDjango, projectNameProblems, suggestProjectName };
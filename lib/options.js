@@ -0,0 +1,653 @@
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { Command, Option } = require('commander');
+const { getStack, stackNames, stackQuestions, frameworkFor, roleApplies, selectedStacks } = require('./stacks');
+const { PYTHON_TOOLS } = require('./python');
+const { canContainerize } = require('./docker');
+const { CI_PROVIDERS, hasChecks, canRunCi } = require('./ci');
+const { DATABASES } = require('./database');
+const { PACKAGE_MANAGERS, detectPackageManager } = require('./package-manager');
+const { isMonorepo, isSeparateRepos, backendStack } = require('./layout');
+const { projectNameProblems, suggestProjectName } = require('./naming');
+const { LICENSES, DEFAULT_PROVIDER, providerNames, parseTopics, topicErrors } = require('./providers');
+const { getFeature, featureNames } = require('./features');
+
+function needsPythonEnvironment(answers) {
+    return selectedStacks(answers).some(stack => stack.language === 'python' && stack.requirements);
+}
+
+// Node apps and the root of a monorepo workspace are managed with the chosen package manager.
+function needsPackageManager(answers) {
+    return isMonorepo(answers) || selectedStacks(answers).some(stack => stack.language === 'node');
+}
+
+// The package manager smart-genesis was started with, unless a selected generator does not support it.
+function defaultPackageManager(answers) {
+    const detected = detectPackageManager();
+    return selectedStacks(answers).every(stack => !stack.packageManagers || stack.packageManagers.includes(detected)) ? detected : 'npm';
+}
+
+// Why the project name cannot be used, as one error with a suggested name, or null. Only the rules
+// of what the answers select so far apply: npm's for Node apps and Python's for Python apps.
+function projectNameError(answers) {
+    const name = answers.projectName;
+    const stacks = selectedStacks(answers);
+    const problems = projectNameProblems(name, {
+        node: stacks.some(stack => stack.language === 'node'),
+        python: stacks.some(stack => stack.language === 'python'),
+        separateRepos: isSeparateRepos(answers)
+    });
+    return problems.length > 0 ? `projectName "${name}" cannot be used: ${problems.join('; ')}. Try "${suggestProjectName(name)}".` : null;
+}
+
+// The project name is asked first, when only the directory and repository rules are known. Once the
+// frameworks are chosen, a name that breaks their npm or Python rules is asked for again, so it can
+// be corrected in place instead of failing validation. Inquirer only passes the value to `validate`,
+// so the answers are kept from `when`.
+function renameQuestion() {
+    let known = {};
+    return {
+        type: 'input',
+        name: 'projectName',
+        askAnswered: true,
+        message: answers => `${projectNameError(answers)} Enter another name:`,
+        default: answers => suggestProjectName(answers.projectName),
+        when: answers => {
+            known = answers;
+            return Boolean(projectNameError(answers));
+        },
+        validate: value => (value.trim() ? projectNameError({ ...known, projectName: value }) : 'Enter a project name.') || true
+    };
+}
+
+// Whether the project's backend can be set up with a database.
+function supportsDatabase(answers) {
+    const stack = backendStack(answers);
+    return Boolean(stack && stack.database);
+}
+
+// Every question the scaffolder can ask. `when` receives the answers collected so far,
+// so the same list drives the interactive prompts, `--yes` defaults and validation.
+// Framework choices come from the stack registry, so plugins must be loaded first.
+function projectQuestions() {
+    return [
+        {
+            type: 'input',
+            name: 'projectName',
+            message: 'Enter your project name:',
+            default: 'my-awesome-project',
+            validate: value => (value.trim() ? projectNameError({ projectName: value }) : 'Enter a project name.') || true
+        },
+        {
+            type: 'list',
+            name: 'projectType',
+            message: 'Select the type of project:',
+            choices: ['Web App', 'API', 'CLI Tool'],
+            default: 'Web App'
+        },
+        {
+            type: 'input',
+            name: 'description',
+            message: 'Enter a short project description (optional):',
+            default: ''
+        },
+        {
+            type: 'list',
+            name: 'frontendFramework',
+            message: 'Select your frontend framework:',
+            choices: stackNames('frontend'),
+            default: 'Next.js',
+            when: answers => answers.projectType === 'Web App'
+        },
+        {
+            type: 'confirm',
+            name: 'includeBackend',
+            message: 'Do you need a backend?',
+            default: true,
+            when: answers => answers.projectType === 'Web App'
+        },
+        {
+            type: 'list',
+            name: 'backendFramework',
+            message: 'Select your backend framework:',
+            choices: stackNames('backend'),
+            when: answers => answers.projectType === 'Web App' && answers.includeBackend
+        },
+        {
+            type: 'list',
+            name: 'repoStructure',
+            message: 'Do you want a monorepo or separate repositories for frontend and backend?',
+            choices: ['Monorepo', 'Separate Repos'],
+            when: answers => answers.projectType === 'Web App' && answers.includeBackend
+        },
+        {
+            type: 'confirm',
+            name: 'turborepo',
+            message: 'Run the workspace tasks with Turborepo?',
+            default: false,
+            when: isMonorepo
+        },
+        {
+            type: 'list',
+            name: 'apiFramework',
+            message: 'Select your API framework:',
+            choices: stackNames('backend'),
+            default: 'Nest.js',
+            when: answers => answers.projectType === 'API'
+        },
+        {
+            type: 'list',
+            name: 'cliLanguage',
+            message: 'Select your preferred language for the CLI tool:',
+            choices: stackNames('cli'),
+            default: 'Node.js',
+            when: answers => answers.projectType === 'CLI Tool'
+        },
+        renameQuestion(),
+        {
+            type: 'list',
+            name: 'packageManager',
+            message: 'Which package manager should install the Node dependencies?',
+            choices: PACKAGE_MANAGERS,
+            default: defaultPackageManager,
+            when: needsPackageManager
+        },
+        {
+            type: 'list',
+            name: 'pythonTool',
+            message: 'How should the Python environment be managed?',
+            choices: PYTHON_TOOLS,
+            default: 'venv + pip',
+            when: needsPythonEnvironment
+        },
+        {
+            type: 'list',
+            name: 'database',
+            message: 'Which database should the backend use?',
+            choices: DATABASES,
+            default: 'None',
+            when: supportsDatabase
+        },
+        {
+            type: 'confirm',
+            name: 'containerize',
+            message: 'Generate Dockerfiles for your apps?',
+            default: false,
+            when: canContainerize
+        },
+        {
+            type: 'list',
+            name: 'ci',
+            message: 'Which CI should run the checks of your apps?',
+            choices: CI_PROVIDERS,
+            default: 'None',
+            when: canRunCi
+        },
+        ...stackQuestions()
+    ];
+}
+
+const gitQuestions = [
+    {
+        type: 'confirm',
+        name: 'createGit',
+        message: 'Would you like to create a Git repository for your project?',
+        default: false
+    },
+    {
+        type: 'list',
+        name: 'gitProvider',
+        message: 'Where should the repository be hosted?',
+        choices: providerNames(),
+        default: DEFAULT_PROVIDER,
+        when: answers => answers.createGit
+    },
+    {
+        type: 'list',
+        name: 'repoVisibility',
+        message: 'Repository visibility:',
+        choices: ['public', 'private'],
+        default: 'public',
+        when: answers => answers.createGit
+    },
+    {
+        type: 'input',
+        name: 'githubOrg',
+        message: 'Organization (or GitLab group) to create the repository in (leave empty for your account):',
+        default: '',
+        when: answers => answers.createGit
+    },
+    {
+        type: 'input',
+        name: 'repoTopics',
+        message: 'Repository topics, comma-separated (optional):',
+        default: '',
+        when: answers => answers.createGit
+    },
+    {
+        type: 'list',
+        name: 'license',
+        message: 'License:',
+        choices: [...LICENSES, 'None'],
+        default: 'MIT',
+        when: answers => answers.createGit
+    },
+    {
+        type: 'confirm',
+        name: 'protectMain',
+        message: 'Protect the main branch (require pull request reviews)?',
+        default: false,
+        when: answers => answers.createGit
+    }
+];
+
+const REPO_OPTIONS = ['gitProvider', 'repoVisibility', 'githubOrg', 'repoTopics', 'license', 'protectMain'];
+
+function collect(value, previous) {
+    return [...previous, value];
+}
+
+// `onCommand(command)` receives the command given instead of a new project's options:
+// `{ name: 'add', feature, diff, force }`, `{ name: 'upgrade', diff }` or `{ name: 'doctor' }`.
+function createProgram(onCommand = () => {}) {
+    const program = new Command()
+        .name('smart-genesis')
+        .description('Scaffold a project and optionally push it to GitHub, GitLab or Gitea.')
+        .option('--answers <file>', 'read answers from a JSON or YAML file')
+        .option('-y, --yes', 'accept the default for every value not provided')
+        .option('--dry-run', 'print the planned commands, files and API calls without executing them')
+        .option('--json', 'print the dry-run plan as JSON')
+        .option('--keep-on-failure', 'keep partially scaffolded files when a step fails')
+        .option('--template-dir <dir>', 'overlay templates from this directory (repeatable)', collect, [])
+        .option('--project-name <name>', 'project name')
+        .option('--project-type <type>', 'Web App, API or CLI Tool')
+        .option('--description <text>', 'short project description')
+        .option('--frontend-framework <framework>', stackNames('frontend').join(', '))
+        .option('--include-backend', 'add a backend to a Web App')
+        .option('--no-include-backend', 'scaffold a Web App without a backend')
+        .option('--backend-framework <framework>', stackNames('backend').join(', '))
+        .option('--repo-structure <structure>', 'Monorepo or Separate Repos')
+        .option('--package-manager <tool>', `package manager of the Node apps and the workspace: ${PACKAGE_MANAGERS.join(', ')}`)
+        .option('--workspace-tool <tool>', 'same as --package-manager, for compatibility')
+        .option('--turborepo', 'run the monorepo tasks with Turborepo')
+        .option('--no-turborepo', 'run the monorepo tasks with concurrently')
+        .option('--typescript', 'use TypeScript for the Next.js or SvelteKit frontend')
+        .option('--no-typescript', 'use JavaScript for the Next.js or SvelteKit frontend')
+        .option('--vite-template <template>', 'create-vite template of the Vite frontend, e.g. react-ts or vue')
+        .option('--api-framework <framework>', stackNames('backend').join(', '))
+        .option('--cli-language <language>', stackNames('cli').join(', '))
+        .option('--python-tool <tool>', PYTHON_TOOLS.join(', '))
+        .option('--containerize', 'generate Dockerfiles, .dockerignore and docker-compose.yml')
+        .option('--no-containerize', 'skip the Docker files')
+        .option('--ci <provider>', `CI workflows to generate: ${CI_PROVIDERS.join(', ')}`)
+        .option('--database <database>', `database of the backend: ${DATABASES.join(', ')}`)
+        .option('--orm <orm>', 'ORM of the Nest.js backend: Prisma or TypeORM')
+        .option('--create-git', 'create and push a repository')
+        .option('--no-create-git', 'skip repository creation')
+        .option('--git-provider <provider>', providerNames().join(', '))
+        .option('--private', 'create private repositories')
+        .addOption(new Option('--public', 'create public repositories').conflicts('private'))
+        .option('--github-org <org>', 'create the repositories in this organization or GitLab group')
+        .option('--topics <topics>', 'comma-separated repository topics')
+        .option('--license <license>', `${LICENSES.join(', ')} or None`)
+        .option('--protect-main', 'require pull request reviews on main')
+        .option('--no-protect-main', 'leave main unprotected')
+        .option('--on-repo-exists <action>', 'reuse or abort when a repository name is already taken')
+        .option('--on-dir-exists <action>', 'merge, overwrite or abort when a target directory is not empty')
+        .option('--api-url <url>', 'API base URL of the Git provider, e.g. https://gitlab.example.com')
+        .option('--github-api-url <url>', 'GitHub API base URL, e.g. https://github.example.com/api/v3')
+        .option('--auth <method>', 'how to obtain an access token: oauth-server, device or token')
+        .option('--oauth-server <url>', 'base URL of the hosted OAuth server')
+        .option('--no-token-cache', 'do not read or store cached credentials')
+        // Without a command the options describe a new project.
+        .action(() => {});
+    const features = featureNames().map(name => `  ${name.padEnd(10)} ${getFeature(name).description}`);
+    program
+        .command('add <feature>')
+        .description('add a feature to the project generated in the current directory')
+        .option('--diff', 'show the changes to every file')
+        .option('--force', 'overwrite files that were changed since they were generated')
+        .addHelpText('after', `\nFeatures:\n${features.join('\n')}\n\nAnswers for the feature (e.g. --database) and --yes, --dry-run and --json are taken from the options of smart-genesis.`)
+        .action((feature, options) => onCommand({ name: 'add', feature, diff: Boolean(options.diff), force: Boolean(options.force) }));
+    program
+        .command('upgrade')
+        .description('render the template overlays of the project in the current directory again and merge them with your changes')
+        .option('--diff', 'show the changes to every file')
+        .addHelpText('after', '\nPass the same --template-dir options as when the project was generated. --yes, --dry-run and --json are taken from the options of smart-genesis.')
+        .action(options => onCommand({ name: 'upgrade', diff: Boolean(options.diff) }));
+    program
+        .command('doctor')
+        .description('check the tools, project name and target directories for the project described by the options')
+        .addHelpText('after', '\nWithout --project-type, the tools of every stack are checked. Answers are taken from the options of smart-genesis.')
+        .action(() => onCommand({ name: 'doctor' }));
+    return program;
+}
+
+function loadAnswersFile(filePath) {
+    const absolutePath = path.resolve(filePath);
+    if (!fs.existsSync(absolutePath)) {
+        throw new Error(`Answers file not found: ${absolutePath}`);
+    }
+    const content = fs.readFileSync(absolutePath, 'utf-8');
+    const extension = path.extname(absolutePath).toLowerCase();
+    const data = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`Answers file ${absolutePath} must contain an object of answers.`);
+    }
+    return data;
+}
+
+function parseArgs(argv) {
+    let command = null;
+    const program = createProgram(given => {
+        command = given;
+    });
+    program.parse(argv);
+    const flags = program.opts();
+
+    const fromFlags = {
+        projectName: flags.projectName,
+        projectType: flags.projectType,
+        description: flags.description,
+        frontendFramework: flags.frontendFramework,
+        includeBackend: flags.includeBackend,
+        backendFramework: flags.backendFramework,
+        repoStructure: flags.repoStructure,
+        packageManager: flags.packageManager || flags.workspaceTool,
+        turborepo: flags.turborepo,
+        useTypeScript: flags.typescript,
+        viteTemplate: flags.viteTemplate,
+        apiFramework: flags.apiFramework,
+        cliLanguage: flags.cliLanguage,
+        pythonTool: flags.pythonTool,
+        containerize: flags.containerize,
+        ci: flags.ci,
+        database: flags.database,
+        orm: flags.orm,
+        createGit: flags.createGit,
+        gitProvider: flags.gitProvider,
+        repoVisibility: flags.private ? 'private' : (flags.public ? 'public' : undefined),
+        githubOrg: flags.githubOrg,
+        repoTopics: flags.topics,
+        license: flags.license,
+        protectMain: flags.protectMain
+    };
+
+    const fromFile = flags.answers ? loadAnswersFile(flags.answers) : {};
+    const answers = { ...fromFile };
+    for (const [name, value] of Object.entries(fromFlags)) {
+        if (value !== undefined) {
+            answers[name] = value;
+        }
+    }
+
+    return {
+        answers,
+        command,
+        yes: Boolean(flags.yes),
+        dryRun: Boolean(flags.dryRun),
+        json: Boolean(flags.json),
+        keepOnFailure: Boolean(flags.keepOnFailure),
+        templateDirs: flags.templateDir,
+        apiUrl: flags.apiUrl,
+        githubApiUrl: flags.githubApiUrl,
+        auth: flags.auth,
+        oauthServer: flags.oauthServer,
+        tokenCache: flags.tokenCache,
+        onRepoExists: flags.onRepoExists,
+        onDirExists: flags.onDirExists,
+        answersFile: flags.answers
+    };
+}
+
+function normalizeChoice(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Accepts loose spellings such as "web-app", "nestjs" or "fastapi" and maps them to the prompt choice.
+function matchChoice(value, choices) {
+    const wanted = normalizeChoice(value);
+    const exact = choices.find(choice => normalizeChoice(choice) === wanted);
+    if (exact) {
+        return exact;
+    }
+    const byWord = choices.filter(choice => String(choice).toLowerCase().split(/[^a-z0-9]+/).includes(wanted));
+    if (byWord.length === 1) {
+        return byWord[0];
+    }
+    const partial = choices.filter(choice => normalizeChoice(choice).includes(wanted));
+    return partial.length === 1 ? partial[0] : undefined;
+}
+
+function toBoolean(value) {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    const normalized = String(value).toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(normalized)) {
+        return true;
+    }
+    if (['false', 'no', 'n', '0'].includes(normalized)) {
+        return false;
+    }
+    return undefined;
+}
+
+// Coerce preset answers into the values the prompts would have produced.
+// Returns the normalized answers, answers for template prompts and a list of human-readable problems.
+function normalizeAnswers(preset) {
+    const answers = {};
+    const errors = [];
+    const { templateAnswers = {}, workspaceTool, ...projectPreset } = preset;
+    const allQuestions = [...projectQuestions(), ...gitQuestions];
+    // Earlier versions only asked for the package manager of a monorepo, as `workspaceTool`.
+    if (workspaceTool !== undefined && projectPreset.packageManager === undefined) {
+        projectPreset.packageManager = workspaceTool;
+    }
+
+    if (typeof templateAnswers !== 'object' || Array.isArray(templateAnswers)) {
+        errors.push('templateAnswers must be an object of template prompt answers.');
+    }
+
+    for (const [name, value] of Object.entries(projectPreset)) {
+        const question = allQuestions.find(q => q.name === name);
+        if (!question) {
+            errors.push(`Unknown option "${name}".`);
+            continue;
+        }
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (question.type === 'list') {
+            const choice = matchChoice(value, question.choices);
+            if (!choice) {
+                errors.push(`Invalid ${name} "${value}". Expected one of: ${question.choices.join(', ')}.`);
+                continue;
+            }
+            answers[name] = choice;
+        } else if (question.type === 'confirm') {
+            const flag = toBoolean(value);
+            if (flag === undefined) {
+                errors.push(`Invalid ${name} "${value}". Expected true or false.`);
+                continue;
+            }
+            answers[name] = flag;
+        } else {
+            answers[name] = Array.isArray(value) ? value.join(',') : String(value);
+        }
+    }
+
+    // Repository options imply that a repository should be created.
+    if (answers.createGit === undefined && REPO_OPTIONS.some(name => answers[name] !== undefined)) {
+        answers.createGit = true;
+    }
+
+    // Asking for a backend framework or layout implies that a backend is wanted.
+    if (answers.includeBackend === undefined && (answers.backendFramework || answers.repoStructure)) {
+        answers.includeBackend = true;
+    }
+
+    return { answers, templateAnswers, errors };
+}
+
+// Check that the answers describe a project we can actually scaffold. The name of an `existing`
+// project (one `add` extends) is already in use, so the naming rules are not applied to it.
+function validateAnswers(answers, { existing = false } = {}) {
+    const errors = [];
+    const type = answers.projectType;
+
+    if (answers.projectName !== undefined && !answers.projectName.trim()) {
+        errors.push('projectName cannot be empty.');
+    } else if (answers.projectName !== undefined && !existing) {
+        const nameError = projectNameError(answers);
+        if (nameError) {
+            errors.push(nameError);
+        }
+    }
+
+    if (type && type !== 'Web App') {
+        for (const name of ['frontendFramework', 'includeBackend', 'backendFramework', 'repoStructure', 'turborepo']) {
+            if (answers[name] !== undefined) {
+                errors.push(`${name} only applies to Web App projects, but projectType is "${type}".`);
+            }
+        }
+    }
+    if (type && type !== 'API' && answers.apiFramework !== undefined) {
+        errors.push(`apiFramework only applies to API projects, but projectType is "${type}".`);
+    }
+    if (type && type !== 'CLI Tool' && answers.cliLanguage !== undefined) {
+        errors.push(`cliLanguage only applies to CLI Tool projects, but projectType is "${type}".`);
+    }
+
+    if (((answers.repoStructure && answers.repoStructure !== 'Monorepo') || answers.includeBackend === false) && answers.turborepo !== undefined) {
+        errors.push('turborepo only applies to monorepos.');
+    }
+
+    if (answers.includeBackend === false) {
+        if (answers.backendFramework !== undefined) {
+            errors.push('backendFramework requires includeBackend, but the backend is disabled.');
+        }
+        if (answers.repoStructure !== undefined) {
+            errors.push('repoStructure requires includeBackend, but the backend is disabled.');
+        }
+    }
+
+    const frameworks = [answers.frontendFramework, answers.backendFramework, answers.apiFramework, answers.cliLanguage];
+    if (answers.pythonTool !== undefined && frameworks.some(Boolean) && !needsPythonEnvironment(answers)) {
+        const backend = answers.backendFramework || answers.apiFramework;
+        if (backend || answers.includeBackend === false || (type && type !== 'Web App')) {
+            errors.push('pythonTool only applies to Python stacks (Django, Flask, FastAPI or a Python CLI).');
+        }
+    }
+    if (answers.packageManager !== undefined && frameworks.some(Boolean) && !needsPackageManager(answers)) {
+        const backend = answers.backendFramework || answers.apiFramework;
+        if (backend || answers.includeBackend === false || (type && type !== 'Web App')) {
+            errors.push('packageManager only applies to projects with a Node app or a monorepo.');
+        }
+    }
+    for (const stack of selectedStacks(answers)) {
+        if (answers.packageManager !== undefined && stack.packageManagers && !stack.packageManagers.includes(answers.packageManager)) {
+            errors.push(`packageManager ${answers.packageManager} is not supported by ${stack.name}. Expected one of: ${stack.packageManagers.join(', ')}.`);
+        }
+    }
+
+    if (answers.containerize && type === 'CLI Tool') {
+        errors.push('containerize only applies to Web App and API projects.');
+    }
+    if (answers.ci !== undefined && answers.ci !== 'None' && type === 'CLI Tool') {
+        const cli = getStack(answers.cliLanguage);
+        if (cli && !hasChecks(cli)) {
+            errors.push(`ci is not supported by the ${cli.name} CLI.`);
+        }
+    }
+    if (answers.database !== undefined && answers.database !== 'None') {
+        const backend = getStack(answers.backendFramework || answers.apiFramework);
+        if (type === 'CLI Tool' || answers.includeBackend === false) {
+            errors.push('database only applies to projects with a backend.');
+        } else if (backend && !backend.database) {
+            errors.push(`database is not supported by the ${backend.name} backend.`);
+        }
+    }
+
+    if (answers.createGit === false) {
+        for (const name of REPO_OPTIONS) {
+            if (answers[name] !== undefined) {
+                errors.push(`${name} requires createGit, but repository creation is disabled.`);
+            }
+        }
+    }
+    errors.push(...topicErrors(answers.gitProvider, parseTopics(answers.repoTopics)));
+
+    // A stack prompt is invalid once we know none of the stacks that ask it can be selected.
+    for (const question of stackQuestions()) {
+        if (answers[question.name] === undefined) {
+            continue;
+        }
+        const possible = question.owners.some(stack => stack.roles.some(role => {
+            if (type && !roleApplies(type, role)) {
+                return false;
+            }
+            const chosen = frameworkFor(answers, role);
+            return chosen === undefined || chosen === stack.name;
+        }));
+        if (!possible) {
+            const owners = question.owners.map(stack => stack.name).join(', ');
+            errors.push(`${question.name} only applies to ${owners}, which is not selected.`);
+        }
+    }
+
+    return errors;
+}
+
+// The default of a question; like inquirer, a function default receives the answers so far.
+function defaultAnswer(question, answers) {
+    if (typeof question.default === 'function') {
+        return question.default(answers);
+    }
+    return question.default !== undefined ? question.default : question.choices[0];
+}
+
+// Fill every question that still applies with its default, as `--yes` requests.
+function applyDefaults(questions, answers) {
+    const result = { ...answers };
+    for (const question of questions) {
+        if (result[question.name] !== undefined) {
+            continue;
+        }
+        if (question.when && !question.when(result)) {
+            continue;
+        }
+        result[question.name] = defaultAnswer(question, result);
+    }
+    return result;
+}
+
+// Names of the questions that still need an answer given what is already known.
+function missingAnswers(questions, answers) {
+    const known = { ...answers };
+    const missing = [];
+    for (const question of questions) {
+        if (known[question.name] !== undefined) {
+            continue;
+        }
+        if (question.when && !question.when(known)) {
+            continue;
+        }
+        missing.push(question.name);
+        // Assume the default so follow-up questions are still evaluated.
+        known[question.name] = defaultAnswer(question, known);
+    }
+    return missing;
+}
+
+module.exports = {
+    projectQuestions,
+    gitQuestions,
+    parseArgs,
+    loadAnswersFile,
+    normalizeAnswers,
+    validateAnswers,
+    applyDefaults,
+    missingAnswers
+};
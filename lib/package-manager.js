@@ -0,0 +1,60 @@
+const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+
+// The package manager smart-genesis was started with, e.g. `pnpm dlx smart-genesis`, from the user
+// agent every package manager sets for the scripts it runs. npm when started any other way.
+function detectPackageManager(env = process.env) {
+    const agent = (env.npm_config_user_agent || '').split('/')[0];
+    return PACKAGE_MANAGERS.includes(agent) ? agent : 'npm';
+}
+
+// The package manager of the project's Node apps and workspace.
+function packageManagerOf(answers) {
+    return answers.packageManager || 'npm';
+}
+
+function installCommand(tool) {
+    return `${tool} install`;
+}
+
+function scriptCommand(tool, script) {
+    return `${tool} run ${script}`;
+}
+
+// Runs a binary of the app's own dependencies, e.g. `react-scripts test`.
+function execCommand(tool, command) {
+    const runner = { npm: 'npx', pnpm: 'pnpm exec', yarn: 'yarn', bun: 'bunx' }[tool] || 'npx';
+    return `${runner} ${command}`;
+}
+
+// Downloads a package and runs its binary, e.g. `@nestjs/cli new`. Yarn 1 has no `dlx`, so Yarn
+// projects use npx, which comes with Node.js.
+function dlxCommand(tool, command) {
+    const runner = { pnpm: 'pnpm dlx', bun: 'bunx' }[tool] || 'npx';
+    return `${runner} ${command}`;
+}
+
+// Runs the `create-<initializer>` package, e.g. `pnpm create vite`. npm runs it through npx, which
+// takes the version from `initializer` (e.g. `vite@latest`); the others always use the latest one.
+function createCommand(tool, initializer, args) {
+    if (tool === 'npm' || !PACKAGE_MANAGERS.includes(tool)) {
+        return `npx create-${initializer} ${args}`;
+    }
+    return `${tool} create ${initializer.replace(/@[^@/]*$/, '')} ${args}`;
+}
+
+// Makes the `bin` of the package in the current directory available as a global command.
+function linkCommand(tool) {
+    return tool === 'pnpm' ? 'pnpm link --global' : `${tool} link`;
+}
+
+module.exports = {
+    PACKAGE_MANAGERS,
+    detectPackageManager,
+    packageManagerOf,
+    installCommand,
+    scriptCommand,
+    execCommand,
+    dlxCommand,
+    createCommand,
+    linkCommand
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+const { merge } = require('node-diff3');
+const { version } = require('../package.json');
+
+// Every generated repository gets a manifest at its root: the answers it was generated from, its
+// apps and a hash of every file Smart Genesis wrote, so `smart-genesis add` can extend it later
+// and tell generated files from files the user has changed since. Template overlays are recorded
+// with their template, its version and the rendered content, the base `smart-genesis upgrade`
+// merges new renderings against.
+const PROJECT_MANIFEST = '.smart-genesis.json';
+const MANIFEST_VERSION = 1;
+
+function contentHash(content) {
+    return `sha256-${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+function toPosix(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+function isInside(root, filePath) {
+    const relative = path.relative(root, filePath);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Paths below `root` that an executor's steps wrote, appended to or updated, relative to `root`.
+function touchedFiles(steps, root) {
+    const files = steps
+        .filter(step => ['write', 'append', 'update'].includes(step.type) && isInside(root, step.path))
+        .map(step => toPosix(path.relative(root, step.path)));
+    return [...new Set(files)];
+}
+
+// Hashes of the files as they are on disk now, keyed by their path relative to `root`.
+// Files that do not exist (e.g. in a dry run) are left out.
+function fileHashes(root, relativePaths) {
+    const hashes = {};
+    for (const relativePath of relativePaths) {
+        const filePath = path.join(root, relativePath);
+        if (fs.existsSync(filePath)) {
+            hashes[relativePath] = contentHash(fs.readFileSync(filePath));
+        }
+    }
+    return hashes;
+}
+
+// The manifest of the repository at `root`. `apps` are the project's `{ role, framework, dir }`,
+// `files` the hashes by relative path, `overlays` the `{ template, version, content }` of each
+// overlay file by relative path and `repositories` the `{ label, name, owner, url, cloneUrl }` of
+// the project's hosted repositories, which the templates link to.
+function projectManifest(answers, apps, root, { files, overlays, repositories = [] }) {
+    const manifest = {
+        manifestVersion: MANIFEST_VERSION,
+        generator: { name: 'smart-genesis', version },
+        answers,
+        apps: apps.map(app => ({ role: app.role, framework: app.framework, dir: toPosix(path.relative(root, app.dir)) || '.' })),
+        files,
+        overlays,
+        repositories
+    };
+    return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+// The manifest in `dir` or the closest parent that has one, as `{ root, manifest }`, or null.
+function findProjectManifest(dir = process.cwd()) {
+    let current = path.resolve(dir);
+    for (;;) {
+        const file = path.join(current, PROJECT_MANIFEST);
+        if (fs.existsSync(file)) {
+            let manifest;
+            try {
+                manifest = fs.readJsonSync(file);
+            } catch (error) {
+                throw new Error(`Could not read ${file}: ${error.message}`);
+            }
+            if (!manifest || typeof manifest.answers !== 'object' || Array.isArray(manifest.answers)) {
+                throw new Error(`Invalid project manifest ${file}: expected the answers it was generated from.`);
+            }
+            if (manifest.manifestVersion > MANIFEST_VERSION) {
+                throw new Error(`${file} was written by a newer version of Smart Genesis. Update smart-genesis to use it.`);
+            }
+            return { root: current, manifest: { ...manifest, files: manifest.files || {}, overlays: manifest.overlays || {}, repositories: manifest.repositories || [] } };
+        }
+        const parent = path.dirname(current);
+        if (parent === current) {
+            return null;
+        }
+        current = parent;
+    }
+}
+
+function readCurrent(filePath) {
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+}
+
+// What the steps of a recorded (dry-run) executor would do to the repository at `root`:
+//   changes   `{ path, relativePath, before, after, status }` per file whose content would change.
+//             `before` is null for new files. `status` is 'create', 'update' for files that are
+//             unchanged since they were generated, 'merge' for appends and package.json updates,
+//             which keep what is in the file, or 'modified' for files the user has changed and the
+//             steps would overwrite.
+//   commands  the command steps that run inside `root`, in order
+//   outside   paths the steps touch or run in outside `root`, e.g. the sibling of a separate repository
+function planChanges(steps, root, manifest) {
+    const contents = new Map();
+    const overwritten = new Set();
+    const commands = [];
+    const outside = new Set();
+    const content = filePath => (contents.has(filePath) ? contents.get(filePath) : readCurrent(filePath) || Buffer.alloc(0));
+
+    for (const step of steps) {
+        if (step.type === 'command') {
+            if (step.cwd === root || isInside(root, step.cwd)) {
+                commands.push(step);
+            } else {
+                outside.add(step.cwd);
+            }
+        } else if (['write', 'append', 'update'].includes(step.type) && !isInside(root, step.path)) {
+            outside.add(step.path);
+        } else if (step.type === 'write') {
+            contents.set(step.path, Buffer.from(step.content));
+            overwritten.add(step.path);
+        } else if (step.type === 'append') {
+            // Text that is already there, such as the wiring of the original run, is not added twice.
+            const current = content(step.path);
+            if (!current.toString('utf-8').includes(step.content)) {
+                contents.set(step.path, Buffer.concat([current, Buffer.from(step.content)]));
+            }
+        } else if (step.type === 'update') {
+            const updated = step.update(JSON.parse(content(step.path).toString('utf-8')));
+            contents.set(step.path, Buffer.from(`${JSON.stringify(updated, null, 2)}\n`));
+        }
+    }
+
+    const changes = [];
+    for (const [filePath, after] of contents) {
+        const before = readCurrent(filePath);
+        if (before && before.equals(after)) {
+            continue;
+        }
+        const relativePath = toPosix(path.relative(root, filePath));
+        // A file written exactly as it was generated is not part of the change; the user's edits stay.
+        if (before && overwritten.has(filePath) && manifest.files[relativePath] === contentHash(after)) {
+            continue;
+        }
+        let status = 'create';
+        if (before) {
+            if (!overwritten.has(filePath)) {
+                status = 'merge';
+            } else {
+                status = manifest.files[relativePath] === contentHash(before) ? 'update' : 'modified';
+            }
+        }
+        changes.push({ path: filePath, relativePath, before, after, status });
+    }
+    return { changes, commands, outside: [...outside] };
+}
+
+// Three-way merge of text: the changes from `base` to `ours` and from `base` to `theirs` combined.
+// Lines both sides changed differently are left between conflict markers.
+function mergeContent(base, ours, theirs, label) {
+    const result = merge(ours.split('\n'), base.split('\n'), theirs.split('\n'), { label: { a: 'yours', b: label } });
+    return { content: result.result.join('\n'), conflict: result.conflict };
+}
+
+// A unified diff of one change.
+function changeDiff(change) {
+    const before = change.before ? change.before.toString('utf-8') : '';
+    const oldName = change.before ? `a/${change.relativePath}` : '/dev/null';
+    return createTwoFilesPatch(oldName, `b/${change.relativePath}`, before, change.after.toString('utf-8'), undefined, undefined, { context: 3 })
+        .split('\n')
+        .slice(1)
+        .join('\n');
+}
+
+module.exports = {
+    PROJECT_MANIFEST,
+    contentHash,
+    toPosix,
+    isInside,
+    touchedFiles,
+    fileHashes,
+    projectManifest,
+    findProjectManifest,
+    planChanges,
+    mergeContent,
+    changeDiff
+};
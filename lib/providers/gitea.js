@@ -0,0 +1,120 @@
+// Gitea (and Forgejo), through the REST API v1.
+
+// Gitea names its license templates by SPDX identifier.
+const LICENSE_KEYS = {
+    'MIT': 'MIT',
+    'Apache-2.0': 'Apache-2.0',
+    'GPL-3.0': 'GPL-3.0-only',
+    'BSD-3-Clause': 'BSD-3-Clause'
+};
+
+function headers(accessToken) {
+    return { Authorization: `token ${accessToken}` };
+}
+
+function toRepo(data) {
+    return {
+        owner: data.owner.login,
+        name: data.name,
+        cloneUrl: data.clone_url,
+        htmlUrl: data.html_url
+    };
+}
+
+function placeholderRepo(options, owner, name) {
+    const webUrl = options.apiUrl.replace(/\/api\/v1$/, '');
+    return {
+        name,
+        owner: { login: owner },
+        clone_url: `${webUrl}/${owner}/${name}.git`,
+        html_url: `${webUrl}/${owner}/${name}`
+    };
+}
+
+function isNameTaken(error) {
+    return error.response?.status === 409;
+}
+
+async function createRepo(name, accessToken, options, executor) {
+    const url = options.org
+        ? `${options.apiUrl}/orgs/${encodeURIComponent(options.org)}/repos`
+        : `${options.apiUrl}/user/repos`;
+    const response = await executor.request(
+        {
+            method: 'post',
+            url,
+            data: {
+                name,
+                description: options.description,
+                private: options.private
+            },
+            headers: headers(accessToken)
+        },
+        placeholderRepo(options, options.org || '<owner>', name)
+    );
+    return toRepo(response.data);
+}
+
+async function getRepo(name, accessToken, options, executor) {
+    let owner = options.org;
+    if (!owner) {
+        const user = await executor.request(
+            { method: 'get', url: `${options.apiUrl}/user`, headers: headers(accessToken) },
+            { login: '<owner>' }
+        );
+        owner = user.data.login;
+    }
+    const response = await executor.request(
+        { method: 'get', url: `${options.apiUrl}/repos/${owner}/${name}`, headers: headers(accessToken) },
+        placeholderRepo(options, owner, name)
+    );
+    return toRepo(response.data);
+}
+
+async function setTopics(repo, accessToken, options, executor) {
+    await executor.request({
+        method: 'put',
+        url: `${options.apiUrl}/repos/${repo.owner}/${repo.name}/topics`,
+        data: { topics: options.topics },
+        headers: headers(accessToken)
+    });
+}
+
+async function licenseTemplate(repo, accessToken, options, executor) {
+    const response = await executor.request(
+        {
+            method: 'get',
+            url: `${options.apiUrl}/licenses/${LICENSE_KEYS[options.license]}`,
+            headers: headers(accessToken)
+        },
+        { body: `${options.license} license text\n` }
+    );
+    return response.data.body;
+}
+
+async function protectBranch(repo, branch, accessToken, options, executor) {
+    await executor.request({
+        method: 'post',
+        url: `${options.apiUrl}/repos/${repo.owner}/${repo.name}/branch_protections`,
+        data: { rule_name: branch, branch_name: branch, enable_push: false, required_approvals: 1 },
+        headers: headers(accessToken)
+    });
+}
+
+module.exports = {
+    name: 'Gitea',
+    defaultApiUrl: 'https://gitea.com/api/v1',
+    apiUrlEnv: 'GITEA_API_URL',
+    configKey: 'giteaApiUrl',
+    tokenEnv: ['GITEA_TOKEN'],
+    authMethods: ['token'],
+    // Accept the instance URL as well as the API URL.
+    apiUrl: url => (/\/api\/v\d+$/.test(url) ? url : `${url}/api/v1`),
+    headers,
+    isNameTaken,
+    createRepo,
+    getRepo,
+    setTopics,
+    licenseTemplate,
+    protectBranch
+};
@@ -0,0 +1,136 @@
+// GitHub and GitHub Enterprise Server, through the REST API v3.
+
+const { LICENSE_KEYS } = require('./licenses');
+
+// GitHub topics: lowercase letters, numbers and hyphens, at most 50 characters, at most 20 per repository.
+function topicErrors(topics) {
+    const errors = topics
+        .filter(topic => !/^[a-z0-9][a-z0-9-]{0,49}$/.test(topic))
+        .map(topic => `Invalid topic "${topic}". Topics use lowercase letters, numbers and hyphens (max 50 characters).`);
+    if (topics.length > 20) {
+        errors.push(`A repository can have at most 20 topics, got ${topics.length}.`);
+    }
+    return errors;
+}
+
+function headers(accessToken) {
+    return {
+        Authorization: `token ${accessToken}`,
+        Accept: 'application/vnd.github.v3+json'
+    };
+}
+
+function toRepo(data) {
+    return {
+        owner: data.owner.login,
+        name: data.name,
+        cloneUrl: data.clone_url,
+        htmlUrl: data.html_url
+    };
+}
+
+function placeholderRepo(owner, name) {
+    return {
+        name,
+        owner: { login: owner },
+        clone_url: `https://github.com/${owner}/${name}.git`,
+        html_url: `https://github.com/${owner}/${name}`
+    };
+}
+
+// GitHub answers 422 for several validation problems; only a taken name can be resolved by the user.
+function isNameTaken(error) {
+    const data = error.response?.data;
+    return error.response?.status === 422 && JSON.stringify(data?.errors || data?.message || '').includes('already exists');
+}
+
+// Create the repository under the organization or the authenticated user.
+async function createRepo(name, accessToken, options, executor) {
+    const url = options.org
+        ? `${options.apiUrl}/orgs/${encodeURIComponent(options.org)}/repos`
+        : `${options.apiUrl}/user/repos`;
+    const response = await executor.request(
+        {
+            method: 'post',
+            url,
+            data: {
+                name,
+                description: options.description,
+                private: options.private
+            },
+            headers: headers(accessToken)
+        },
+        placeholderRepo(options.org || '<owner>', name)
+    );
+    return toRepo(response.data);
+}
+
+async function getRepo(name, accessToken, options, executor) {
+    let owner = options.org;
+    if (!owner) {
+        const user = await executor.request(
+            { method: 'get', url: `${options.apiUrl}/user`, headers: headers(accessToken) },
+            { login: '<owner>' }
+        );
+        owner = user.data.login;
+    }
+    const response = await executor.request(
+        { method: 'get', url: `${options.apiUrl}/repos/${owner}/${name}`, headers: headers(accessToken) },
+        placeholderRepo(owner, name)
+    );
+    return toRepo(response.data);
+}
+
+async function setTopics(repo, accessToken, options, executor) {
+    await executor.request({
+        method: 'put',
+        url: `${options.apiUrl}/repos/${repo.owner}/${repo.name}/topics`,
+        data: { names: options.topics },
+        headers: headers(accessToken)
+    });
+}
+
+async function licenseTemplate(repo, accessToken, options, executor) {
+    const response = await executor.request(
+        {
+            method: 'get',
+            url: `${options.apiUrl}/licenses/${LICENSE_KEYS[options.license]}`,
+            headers: headers(accessToken)
+        },
+        { body: `${options.license} license text\n` }
+    );
+    return response.data.body;
+}
+
+// Plans without protection for private repos answer 403.
+async function protectBranch(repo, branch, accessToken, options, executor) {
+    await executor.request({
+        method: 'put',
+        url: `${options.apiUrl}/repos/${repo.owner}/${repo.name}/branches/${branch}/protection`,
+        data: {
+            required_status_checks: null,
+            enforce_admins: false,
+            required_pull_request_reviews: { required_approving_review_count: 1 },
+            restrictions: null
+        },
+        headers: headers(accessToken)
+    });
+}
+
+module.exports = {
+    name: 'GitHub',
+    defaultApiUrl: 'https://api.github.com',
+    apiUrlEnv: 'GITHUB_API_URL',
+    configKey: 'githubApiUrl',
+    tokenEnv: ['GITHUB_TOKEN', 'GH_TOKEN'],
+    authMethods: ['oauth-server', 'device', 'token'],
+    apiUrl: url => url,
+    topicErrors,
+    headers,
+    isNameTaken,
+    createRepo,
+    getRepo,
+    setTopics,
+    licenseTemplate,
+    protectBranch
+};
@@ -0,0 +1,143 @@
+// GitLab.com and self-managed GitLab, through the REST API v4.
+
+const { LICENSE_KEYS } = require('./licenses');
+
+// GitLab access levels used for branch protection.
+const NO_ACCESS = 0;
+const DEVELOPER_ACCESS = 30;
+
+function headers(accessToken) {
+    return { Authorization: `Bearer ${accessToken}` };
+}
+
+// Projects are addressed by their URL-encoded full path.
+function projectPath(repo) {
+    return encodeURIComponent(`${repo.owner}/${repo.name}`);
+}
+
+function toRepo(data) {
+    return {
+        owner: data.namespace.full_path,
+        name: data.path,
+        cloneUrl: data.http_url_to_repo,
+        htmlUrl: data.web_url
+    };
+}
+
+function placeholderRepo(options, owner, name) {
+    const webUrl = options.apiUrl.replace(/\/api\/v4$/, '');
+    return {
+        path: name,
+        namespace: { full_path: owner },
+        http_url_to_repo: `${webUrl}/${owner}/${name}.git`,
+        web_url: `${webUrl}/${owner}/${name}`
+    };
+}
+
+// GitLab reports a taken name or path as a 400 validation error.
+function isNameTaken(error) {
+    return error.response?.status === 400 && JSON.stringify(error.response.data?.message || '').includes('has already been taken');
+}
+
+// `org` is a group (or subgroup) path; without it the project goes into the user's namespace.
+async function createRepo(name, accessToken, options, executor) {
+    let namespaceId;
+    if (options.org) {
+        const namespace = await executor.request(
+            { method: 'get', url: `${options.apiUrl}/namespaces/${encodeURIComponent(options.org)}`, headers: headers(accessToken) },
+            { id: '<namespace-id>' }
+        );
+        namespaceId = namespace.data.id;
+    }
+    const response = await executor.request(
+        {
+            method: 'post',
+            url: `${options.apiUrl}/projects`,
+            data: {
+                name,
+                path: name,
+                description: options.description,
+                visibility: options.private ? 'private' : 'public',
+                namespace_id: namespaceId
+            },
+            headers: headers(accessToken)
+        },
+        placeholderRepo(options, options.org || '<owner>', name)
+    );
+    return toRepo(response.data);
+}
+
+async function getRepo(name, accessToken, options, executor) {
+    let owner = options.org;
+    if (!owner) {
+        const user = await executor.request(
+            { method: 'get', url: `${options.apiUrl}/user`, headers: headers(accessToken) },
+            { username: '<owner>' }
+        );
+        owner = user.data.username;
+    }
+    const response = await executor.request(
+        { method: 'get', url: `${options.apiUrl}/projects/${projectPath({ owner, name })}`, headers: headers(accessToken) },
+        placeholderRepo(options, owner, name)
+    );
+    return toRepo(response.data);
+}
+
+async function setTopics(repo, accessToken, options, executor) {
+    await executor.request({
+        method: 'put',
+        url: `${options.apiUrl}/projects/${projectPath(repo)}`,
+        data: { topics: options.topics },
+        headers: headers(accessToken)
+    });
+}
+
+async function licenseTemplate(repo, accessToken, options, executor) {
+    const response = await executor.request(
+        {
+            method: 'get',
+            url: `${options.apiUrl}/templates/licenses/${LICENSE_KEYS[options.license]}`,
+            params: { project: repo.name, fullname: repo.owner },
+            headers: headers(accessToken)
+        },
+        { content: `${options.license} license text\n` }
+    );
+    return response.data.content;
+}
+
+// GitLab protects the default branch on the first push, allowing maintainers to push.
+// Replace that rule with one that only allows changes through merge requests.
+async function protectBranch(repo, branch, accessToken, options, executor) {
+    const url = `${options.apiUrl}/projects/${projectPath(repo)}/protected_branches`;
+    try {
+        await executor.request({ method: 'delete', url: `${url}/${encodeURIComponent(branch)}`, headers: headers(accessToken) });
+    } catch (error) {
+        if (error.response?.status !== 404) {
+            throw error;
+        }
+    }
+    await executor.request({
+        method: 'post',
+        url,
+        data: { name: branch, push_access_level: NO_ACCESS, merge_access_level: DEVELOPER_ACCESS },
+        headers: headers(accessToken)
+    });
+}
+
+module.exports = {
+    name: 'GitLab',
+    defaultApiUrl: 'https://gitlab.com/api/v4',
+    apiUrlEnv: 'GITLAB_API_URL',
+    configKey: 'gitlabApiUrl',
+    tokenEnv: ['GITLAB_TOKEN'],
+    authMethods: ['token'],
+    // Accept the instance URL as well as the API URL.
+    apiUrl: url => (/\/api\/v\d+$/.test(url) ? url : `${url}/api/v4`),
+    headers,
+    isNameTaken,
+    createRepo,
+    getRepo,
+    setTopics,
+    licenseTemplate,
+    protectBranch
+};
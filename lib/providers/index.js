@@ -0,0 +1,135 @@
+const { LICENSES } = require('./licenses');
+
+// A provider is a Git hosting service repositories can be created on:
+//
+//   name             choice shown in the prompts, e.g. 'GitLab'
+//   defaultApiUrl    API base URL of the public instance
+//   apiUrlEnv        environment variable overriding the API base URL
+//   configKey        key in ~/.smart-genesis/config.json overriding the API base URL
+//   tokenEnv         environment variables that may hold an access token
+//   authMethods      login methods (see lib/auth.js); the first one is the default
+//   apiUrl           (url) => API base URL for a configured instance or API URL
+//   topicErrors      optional (topics) => validation errors for repository topics
+//   headers          (token) => request headers authenticating with `token`
+//   isNameTaken      (error) => whether a failed create means the name is taken
+//   createRepo, getRepo, setTopics, licenseTemplate, protectBranch
+//                    API calls taking (name or repo, token, options, executor); repositories
+//                    are `{ owner, name, cloneUrl, htmlUrl }`
+const providers = new Map();
+
+const DEFAULT_PROVIDER = 'GitHub';
+const DEFAULT_DESCRIPTION = 'Repository created automatically by Smart Genesis CLI';
+
+function registerProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+    return providers.get(name || DEFAULT_PROVIDER);
+}
+
+function providerNames() {
+    return [...providers.keys()];
+}
+
+function parseTopics(value) {
+    if (!value) {
+        return [];
+    }
+    return String(value).split(',').map(topic => topic.trim().toLowerCase()).filter(Boolean);
+}
+
+function topicErrors(providerName, topics) {
+    const provider = getProvider(providerName);
+    return provider && provider.topicErrors ? provider.topicErrors(topics) : [];
+}
+
+// Everything about the repositories to create that does not depend on the individual repo.
+function repoOptions(answers, flags = {}, config = {}) {
+    const provider = getProvider(answers.gitProvider);
+    const configured = flags.apiUrl
+        || (provider.name === 'GitHub' && flags.githubApiUrl)
+        || process.env[provider.apiUrlEnv]
+        || config[provider.configKey];
+    return {
+        provider,
+        apiUrl: configured ? provider.apiUrl(configured.replace(/\/+$/, '')) : provider.defaultApiUrl,
+        org: answers.githubOrg || undefined,
+        private: answers.repoVisibility === 'private',
+        description: answers.description || DEFAULT_DESCRIPTION,
+        topics: parseTopics(answers.repoTopics),
+        license: answers.license && answers.license !== 'None' ? answers.license : undefined,
+        protectMain: Boolean(answers.protectMain)
+    };
+}
+
+// Create the repository on `options.provider`.
+// When the name is taken, `onExists(name)` decides: `{ action: 'reuse' }`,
+// `{ action: 'rename', name }` or `{ action: 'abort' }`.
+// Resolves to `{ owner, name, cloneUrl, htmlUrl }`.
+async function createRepository(name, accessToken, options, executor, onExists) {
+    const { provider } = options;
+    let repo;
+    try {
+        repo = await provider.createRepo(name, accessToken, options, executor);
+    } catch (error) {
+        if (!provider.isNameTaken(error) || !onExists) {
+            throw error;
+        }
+        const decision = await onExists(name);
+        if (decision.action === 'reuse') {
+            repo = await provider.getRepo(name, accessToken, options, executor);
+            executor.log(`[Smart Genesis] Reusing existing repository ${repo.owner}/${repo.name}.`);
+        } else if (decision.action === 'rename') {
+            return createRepository(decision.name, accessToken, options, executor, onExists);
+        } else {
+            throw new Error(`Repository "${name}" already exists on ${provider.name}. Re-run with --on-repo-exists reuse or choose another project name.`);
+        }
+    }
+
+    if (options.topics.length > 0) {
+        await provider.setTopics(repo, accessToken, options, executor);
+    }
+    return repo;
+}
+
+// The license text is written locally rather than through the provider's auto-init options,
+// which would create a remote commit that the initial push could not fast-forward.
+async function licenseText(repo, accessToken, options, executor) {
+    const text = await options.provider.licenseTemplate(repo, accessToken, options, executor);
+    return text
+        .replace(/\[year\]|\[yyyy\]|<year>/g, String(new Date().getFullYear()))
+        .replace(/\[fullname\]|\[name of copyright owner\]|<copyright holders>/g, repo.owner);
+}
+
+// Branch protection needs the branch to exist, so this runs after the initial push.
+// Failures (e.g. plans without protection for private repos) are reported but not fatal.
+async function protectBranch(repo, branch, accessToken, options, executor) {
+    try {
+        await options.provider.protectBranch(repo, branch, accessToken, options, executor);
+        executor.log(`[Smart Genesis] Branch protection enabled for ${branch} on ${repo.owner}/${repo.name}.`);
+    } catch (error) {
+        const reason = error.response?.data?.message || error.message;
+        executor.warn(`[Smart Genesis] Could not protect ${branch} on ${repo.owner}/${repo.name}: ${typeof reason === 'string' ? reason : JSON.stringify(reason)}`);
+    }
+}
+
+[
+    require('./github'),
+    require('./gitlab'),
+    require('./gitea')
+].forEach(registerProvider);
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    LICENSES,
+    registerProvider,
+    getProvider,
+    providerNames,
+    parseTopics,
+    topicErrors,
+    repoOptions,
+    createRepository,
+    licenseText,
+    protectBranch
+};
@@ -0,0 +1,12 @@
+// SPDX identifiers offered in the prompts; every provider maps them to its own license keys.
+const LICENSES = ['MIT', 'Apache-2.0', 'GPL-3.0', 'BSD-3-Clause'];
+
+// The license keys of GitHub and GitLab, which share them.
+const LICENSE_KEYS = {
+    'MIT': 'mit',
+    'Apache-2.0': 'apache-2.0',
+    'GPL-3.0': 'gpl-3.0',
+    'BSD-3-Clause': 'bsd-3-clause'
+};
+
+module.exports = { LICENSES, LICENSE_KEYS };
@@ -0,0 +1,155 @@
+const path = require('path');
+
+const PYTHON_TOOLS = ['venv + pip', 'uv', 'poetry'];
+
+// Each `execSync` call runs in a fresh shell, so activating a virtualenv has no lasting effect.
+// Instead every command addresses the environment's interpreter directly.
+function venvPython() {
+    return process.platform === 'win32'
+        ? path.join('.venv', 'Scripts', 'python.exe')
+        : path.join('.venv', 'bin', 'python');
+}
+
+function systemPython() {
+    return process.platform === 'win32' ? 'python' : 'python3';
+}
+
+// PEP 508 normalized distribution name.
+function distributionName(projectName) {
+    return projectName.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[-._]+|[-._]+$/g, '') || 'app';
+}
+
+function tomlString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// The import package of `module:function` entry points, built from src/<package>.
+function entryPointPackage(entryPoints) {
+    return Object.values(entryPoints)[0].split(/[.:]/)[0];
+}
+
+// A requirement such as `pytest==8.3.4` as a Poetry dependency, `pytest = "==8.3.4"`.
+function poetryDependency(requirement) {
+    const [, name, constraint] = /^([A-Za-z0-9._-]+)(.*)$/.exec(requirement);
+    return `${name} = ${tomlString(constraint.trim() || '*')}`;
+}
+
+// Development requirements go into a dependency group, which `uv sync` and `poetry install`
+// install by default and the Docker images leave out (`--no-dev`, `--only main`).
+function pyprojectToml(context, requirements, tool, entryPoints, devRequirements) {
+    const lines = [
+        '[project]',
+        `name = ${tomlString(distributionName(context.projectName))}`,
+        'version = "0.1.0"',
+        `description = ${tomlString(context.description || '')}`,
+        'requires-python = ">=3.9"',
+        'dependencies = [',
+        ...requirements.map(requirement => `    ${tomlString(requirement)},`),
+        ']'
+    ];
+    if (tool === 'uv' && devRequirements.length > 0) {
+        lines.push('', '[dependency-groups]', 'dev = [', ...devRequirements.map(requirement => `    ${tomlString(requirement)},`), ']');
+    }
+    if (entryPoints) {
+        lines.push('', '[project.scripts]', ...Object.entries(entryPoints).map(([name, target]) => `${name} = ${tomlString(target)}`));
+    }
+    const sources = entryPoints ? entryPointPackage(entryPoints) : null;
+    if (tool === 'poetry') {
+        lines.push('', '[tool.poetry]', sources ? `packages = [{ include = ${tomlString(sources)}, from = "src" }]` : 'package-mode = false');
+        if (devRequirements.length > 0) {
+            lines.push('', '[tool.poetry.group.dev.dependencies]', ...devRequirements.map(poetryDependency));
+        }
+        if (sources) {
+            lines.push('', '[build-system]', 'requires = ["poetry-core>=2.0"]', 'build-backend = "poetry.core.masonry.api"');
+        }
+    } else if (sources) {
+        lines.push(
+            '',
+            '[tool.hatch.build.targets.wheel]',
+            `packages = [${tomlString(`src/${sources}`)}]`,
+            '',
+            '[build-system]',
+            'requires = ["hatchling"]',
+            'build-backend = "hatchling.build"'
+        );
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// The file venv + pip installs from: requirements-dev.txt includes requirements.txt.
+function requirementsFile(devRequirements = []) {
+    return devRequirements.length > 0 ? 'requirements-dev.txt' : 'requirements.txt';
+}
+
+const GITIGNORE = `.venv/
+__pycache__/
+*.pyc
+.env
+`;
+
+// How a Python stack's environment is created for the chosen tool:
+//   files    dependency manifest and .gitignore written before anything runs
+//   setup    commands that create the environment and install the dependencies into it
+//   project  commands that install the project itself once its sources are written, so the
+//            console scripts of `entryPoints` (`{ command: 'package.module:function' }`) exist
+//   python   prefix that runs the environment's interpreter
+//   install  command documented in the README for fresh clones
+// `devRequirements` are only needed to develop and test the project, so an installed package does
+// not depend on them. venv + pip installs them from requirements-dev.txt.
+function pythonEnvironment(tool, context, requirements, entryPoints = null, devRequirements = []) {
+    const pyproject = pyprojectToml(context, requirements, tool, entryPoints, devRequirements);
+    if (tool === 'uv') {
+        return {
+            tool,
+            files: { 'pyproject.toml': pyproject, '.gitignore': GITIGNORE },
+            setup: [entryPoints ? 'uv sync --no-install-project' : 'uv sync'],
+            project: entryPoints ? ['uv sync'] : [],
+            python: 'uv run python',
+            install: 'uv sync'
+        };
+    }
+    if (tool === 'poetry') {
+        return {
+            tool,
+            files: { 'pyproject.toml': pyproject, '.gitignore': GITIGNORE },
+            setup: ['poetry config virtualenvs.in-project true --local', entryPoints ? 'poetry install --no-root' : 'poetry install'],
+            project: entryPoints ? ['poetry install'] : [],
+            python: 'poetry run python',
+            install: 'poetry install'
+        };
+    }
+    const python = venvPython();
+    const setup = [`${systemPython()} -m venv .venv`, `${python} -m pip install -r ${requirementsFile(devRequirements)}`];
+    // pip installs from requirements.txt; pyproject.toml only describes the package and its console scripts.
+    const project = entryPoints ? [`${python} -m pip install -e .`] : [];
+    return {
+        tool: 'venv + pip',
+        files: {
+            'requirements.txt': `${requirements.join('\n')}\n`,
+            ...(devRequirements.length > 0 ? { 'requirements-dev.txt': `-r requirements.txt\n${devRequirements.join('\n')}\n` } : {}),
+            ...(entryPoints ? { 'pyproject.toml': pyproject } : {}),
+            '.gitignore': GITIGNORE
+        },
+        setup,
+        project,
+        python,
+        install: [...setup, ...project].join(' && ')
+    };
+}
+
+// Install and run commands for the README of a Python stack, or null for other stacks.
+function pythonUsage(tool, stack, context) {
+    if (!stack || stack.language !== 'python' || !stack.requirements) {
+        return null;
+    }
+    const env = pythonEnvironment(tool, context, stack.requirements, stack.entryPoints ? stack.entryPoints(context) : null, stack.devRequirements);
+    return {
+        tool: env.tool,
+        python: env.python,
+        install: env.install,
+        run: stack.run ? `${env.python} ${stack.run}` : null,
+        test: stack.test ? `${env.python} ${stack.test}` : null
+    };
+}
+
+module.exports = { PYTHON_TOOLS, systemPython, requirementsFile, pythonEnvironment, pythonUsage };
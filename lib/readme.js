@@ -0,0 +1,150 @@
+const { getStack, frameworkFor, roleApplies } = require('./stacks');
+const { commandName, moduleName } = require('./stacks/cli');
+const { pythonUsage } = require('./python');
+const { hasDatabase, databaseSetup, migrateCommand } = require('./database');
+const { isMonorepo, isSeparateRepos, backendStack } = require('./layout');
+const { taskCommand } = require('./workspace');
+const { packageManagerOf, installCommand, linkCommand } = require('./package-manager');
+
+const ROLE_LABELS = { frontend: 'Frontend', backend: 'Backend', cli: 'CLI' };
+
+const USAGE_LABELS = {
+    dev: 'Run the development server',
+    build: 'Build for production',
+    test: 'Run the tests',
+    lint: 'Lint the code',
+    migrate: 'Apply the database migrations'
+};
+
+function languageName(stack, context) {
+    if (stack.language === 'python') {
+        return 'Python';
+    }
+    if (stack.language === 'bash') {
+        return 'Bash';
+    }
+    const typescript = typeof stack.typescript === 'function' ? stack.typescript(context) : stack.typescript;
+    return typescript ? 'TypeScript' : 'JavaScript';
+}
+
+// The stack of one of the project's apps as templates see it: `{ name, language, label, devPort }`,
+// where `label` is the name with the language unless the name already says it.
+function stackSummary(answers, role) {
+    if (!answers.projectType || !roleApplies(answers.projectType, role) || (role === 'backend' && answers.projectType === 'Web App' && !answers.includeBackend)) {
+        return null;
+    }
+    const stack = getStack(frameworkFor(answers, role));
+    if (!stack) {
+        return null;
+    }
+    const language = languageName(stack, answers);
+    const label = stack.name.includes(language) ? stack.name : `${stack.name} (${language})`;
+    return { name: stack.name, language, label, devPort: stack.devPort || null };
+}
+
+// The commands that install, run, build, test and lint the app of `stack` from its directory,
+// each null when the app has no such command, and the tool that manages its dependencies.
+function appCommands(stack, context) {
+    const commands = { packageManager: null, install: null, dev: null, build: null, test: null, lint: null, migrate: null };
+    if (!stack) {
+        return commands;
+    }
+    commands.migrate = migrateCommand(stack, context);
+    const python = pythonUsage(context.pythonTool, stack, context);
+    if (python) {
+        return { ...commands, packageManager: python.tool, install: python.install, dev: python.run, test: python.test };
+    }
+    if (stack.language !== 'node') {
+        return commands;
+    }
+    const monorepo = isMonorepo(context);
+    const tool = packageManagerOf(context);
+    return {
+        ...commands,
+        packageManager: tool,
+        install: installCommand(tool),
+        dev: taskCommand(stack, 'dev', tool, monorepo),
+        build: taskCommand(stack, 'build', tool, monorepo),
+        test: taskCommand(stack, 'test', tool, monorepo),
+        lint: taskCommand(stack, 'lint', tool, monorepo)
+    };
+}
+
+// Everything besides the frameworks the project was generated with, as `{ name, value }`.
+function technologies(stack, context, commands) {
+    const list = [];
+    if (commands.packageManager) {
+        list.push({ name: stack.language === 'python' ? 'Python environment' : 'Package manager', value: commands.packageManager });
+    }
+    if (isMonorepo(context)) {
+        list.push({ name: 'Workspace', value: `${packageManagerOf(context)} workspaces${context.turborepo ? ' with Turborepo' : ''}` });
+    }
+    const backend = backendStack(context);
+    if (backend && hasDatabase(context)) {
+        const { orm } = databaseSetup(backend, context);
+        list.push({ name: 'Database', value: orm ? `${context.database} with ${orm}` : context.database });
+    }
+    if (context.containerize) {
+        list.push({ name: 'Containers', value: 'Docker' });
+    }
+    if (context.ci && context.ci !== 'None') {
+        list.push({ name: 'CI', value: context.ci });
+    }
+    return list;
+}
+
+// The repositories of the project as recorded after they were created, split into the one an app
+// lives in and the others. Separate repositories are labelled after the app's role.
+function appRepositories(role, repositories = []) {
+    const own = repositories.find(repository => repository.label === ROLE_LABELS[role]) || repositories.find(repository => repository.label === 'Project');
+    return { repository: own || null, relatedRepositories: repositories.filter(repository => repository !== own) };
+}
+
+// The Handlebars context of the overlays of one app: the answers plus what was actually scaffolded.
+//   frontend, backend, cli   `{ name, language, label, devPort }` of the project's stacks, or null
+//   app                      the same for the app the overlay is rendered into, with its `role`
+//   commands                 install, dev, build, test, lint and migrate commands of the app and
+//                            its `packageManager`; `usage` lists the available ones with a label
+//   technologies, techStack  the tools used besides the frameworks, as `{ name, value }` and as one
+//                            comma-separated line with the frameworks
+//   apiUrlFile               where a frontend is told the backend's URL, `.env` unless its stack says
+//   repository               `{ label, name, owner, url, cloneUrl }` of the app's repository once
+//                            it was created, `relatedRepositories` the project's other ones
+//   repoDir, appPath         directory a clone creates and the app's path inside it
+//   python, migrate          install/run/test commands of a Python app and the migrate command
+//   commandName, moduleName  names a CLI tool is installed and imported under, and `linkCommand`
+//                            the command installing a Node CLI globally from its clone
+//   licenseName              the license chosen for the repository, or null
+function overlayContext(context, role, repositories) {
+    const stack = getStack(frameworkFor(context, role));
+    const commands = appCommands(stack, context);
+    const summaries = { frontend: stackSummary(context, 'frontend'), backend: stackSummary(context, 'backend'), cli: stackSummary(context, 'cli') };
+    const extras = stack ? technologies(stack, context, commands) : [];
+    const frameworks = Object.values(summaries).filter(Boolean).map(summary => summary.name);
+    return {
+        ...context,
+        ...summaries,
+        app: summaries[role] ? { ...summaries[role], role } : null,
+        commands,
+        usage: Object.keys(USAGE_LABELS)
+            .filter(task => commands[task])
+            .map(task => ({
+                label: task === 'dev' && stack.devPort ? `${USAGE_LABELS.dev} on http://localhost:${stack.devPort}` : USAGE_LABELS[task],
+                command: commands[task]
+            })),
+        technologies: extras,
+        techStack: [...frameworks, ...extras.map(technology => technology.value)].join(', '),
+        apiUrlFile: (stack && stack.apiUrlFile) || '.env',
+        ...appRepositories(role, repositories),
+        repoDir: isSeparateRepos(context) ? `${context.projectName}-${role}` : context.projectName,
+        appPath: isMonorepo(context) ? `apps/${role}` : null,
+        python: pythonUsage(context.pythonTool, stack, context),
+        migrate: commands.migrate,
+        commandName: commandName(context.projectName),
+        moduleName: moduleName(context.projectName),
+        linkCommand: linkCommand(packageManagerOf(context)),
+        licenseName: context.license && context.license !== 'None' ? context.license : null
+    };
+}
+
+module.exports = { overlayContext };
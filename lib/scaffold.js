@@ -0,0 +1,128 @@
+const path = require('path');
+const { getStack } = require('./stacks');
+const { pythonEnvironment } = require('./python');
+const { databaseSetup } = require('./database');
+const { renderDirectory } = require('./templates');
+
+// Lines of a .env file; values with spaces or comment characters are quoted.
+function envFileContent(variables) {
+    return Object.entries(variables)
+        .map(([name, value]) => `${name}=${/[\s#"']/.test(value) ? JSON.stringify(value) : value}`)
+        .join('\n') + '\n';
+}
+
+// `{ relativePath: content }` maps of text to append, concatenated per file.
+function mergeAppends(...appends) {
+    const merged = {};
+    for (const append of appends) {
+        for (const [file, content] of Object.entries(append || {})) {
+            merged[file] = (merged[file] || '') + content;
+        }
+    }
+    return merged;
+}
+
+// The Python environment of a stack with its database requirements, or null for other stacks.
+function stackEnvironment(stack, context) {
+    if (stack.language !== 'python' || !stack.requirements) {
+        return null;
+    }
+    const database = databaseSetup(stack, context);
+    const entryPoints = stack.entryPoints ? stack.entryPoints(context) : null;
+    return pythonEnvironment(context.pythonTool, context, [...stack.requirements, ...database.requirements], entryPoints, stack.devRequirements);
+}
+
+// The context a stack is scaffolded into `targetDir` with.
+function appContext(context, targetDir) {
+    return { ...context, appName: path.basename(targetDir) };
+}
+
+// Everything a stack writes once its generator commands have run: the files of its template, its own
+// files, the wiring to the other app, the database setup and .env, text appended to generated files
+// and the entries merged into package.json.
+function stackOutput(stack, context) {
+    // Templates see the connection URL the database setup writes to .env as their default.
+    const database = databaseSetup(stack, context);
+    const stackContext = { ...context, databaseUrl: database.env.DATABASE_URL };
+
+    const files = stack.template ? renderDirectory(stack.template, stackContext) : [];
+    const wiring = stack.connect(stackContext);
+    for (const [file, content] of Object.entries({ ...stack.files(stackContext), ...wiring.files, ...database.files })) {
+        files.push({ path: file, content });
+    }
+    // The same variables go to .env for development and to .env.example for the repository.
+    const variables = { ...stack.env(context), ...database.env };
+    if (Object.keys(variables).length > 0) {
+        const content = envFileContent(variables);
+        files.push({ path: '.env', content }, { path: '.env.example', content });
+    }
+    // Node stacks declare their database packages and scripts for package.json.
+    const { dependencies, devDependencies, scripts } = database;
+    const fields = stack.packageJson ? stack.packageJson(stackContext) : {};
+    const packageJson = [fields, dependencies, devDependencies, scripts].some(entries => Object.keys(entries).length > 0)
+        ? { fields, dependencies, devDependencies, scripts }
+        : null;
+    return { files, append: mergeAppends(wiring.append, database.append), packageJson };
+}
+
+function writeStackOutput(output, targetDir, executor) {
+    for (const file of output.files) {
+        const filePath = path.join(targetDir, file.path);
+        if (path.dirname(filePath) !== targetDir) {
+            executor.ensureDir(path.dirname(filePath));
+        }
+        executor.writeFile(filePath, file.content);
+    }
+    for (const [file, content] of Object.entries(output.append)) {
+        executor.appendFile(path.join(targetDir, file), content);
+    }
+    if (output.packageJson) {
+        const { fields, dependencies, devDependencies, scripts } = output.packageJson;
+        executor.updateJson(path.join(targetDir, 'package.json'), pkg => ({
+            ...pkg,
+            ...fields,
+            scripts: { ...pkg.scripts, ...scripts },
+            dependencies: { ...pkg.dependencies, ...dependencies },
+            devDependencies: { ...pkg.devDependencies, ...devDependencies }
+        }));
+    }
+}
+
+// Write the dependency manifest of a Python environment and install it.
+function setupEnvironment(env, targetDir, executor) {
+    for (const [file, content] of Object.entries(env.files)) {
+        executor.writeFile(path.join(targetDir, file), content);
+    }
+    for (const command of env.setup) {
+        executor.run(command, targetDir);
+    }
+}
+
+// Scaffold one stack into `targetDir`. Every layout goes through here so the steps never drift apart.
+// Apps of a `workspace` leave installing their dependencies to the workspace root.
+function scaffoldStack(stackName, answers, targetDir, executor, { workspace = false } = {}) {
+    const stack = getStack(stackName);
+    if (!stack) {
+        throw new Error(`Unknown stack "${stackName}".`);
+    }
+    const context = appContext(answers, targetDir);
+    executor.ensureDir(targetDir);
+    executor.log(`Initializing ${stack.name} project in ${targetDir}...`);
+
+    // Python stacks get their own environment with the requirements installed before init commands run.
+    const env = stackEnvironment(stack, context);
+    if (env) {
+        setupEnvironment(env, targetDir, executor);
+        executor.log(`[Smart Genesis] Python environment created with ${env.tool} in ${targetDir}`);
+    }
+    for (const command of stack.commands(context, env || {})) {
+        executor.run(command, targetDir);
+    }
+    writeStackOutput(stackOutput(stack, context), targetDir, executor);
+    // The project itself can only be installed once its sources are there.
+    for (const command of [...(env ? env.project : []), ...(workspace ? [] : stack.install(context))]) {
+        executor.run(command, targetDir);
+    }
+}
+
+module.exports = { envFileContent, appContext, stackEnvironment, stackOutput, writeStackOutput, setupEnvironment, scaffoldStack };
@@ -0,0 +1,41 @@
+const { renderBundledFile } = require('../templates');
+const { packageManagerOf, installCommand, dlxCommand } = require('../package-manager');
+
+module.exports = {
+    name: 'Angular',
+    roles: ['frontend'],
+    language: 'node',
+    typescript: true,
+    tools: { node: '20.19.0' },
+    // `ng new` needs a project name, which it gives the package and the build output. Angular 21
+    // is the last major running on Node 20, which the Dockerfiles and CI workflows use.
+    commands: context => {
+        const tool = packageManagerOf(context);
+        return [dlxCommand(tool, `@angular/cli@21 new ${context.appName} --directory . --defaults --ssr=false --skip-git --skip-install --package-manager ${tool}`)];
+    },
+    install: context => [installCommand(packageManagerOf(context))],
+    devPort: 4200,
+    // Angular builds do not read environment variables, so the root component calls the backend
+    // at its URL, which allows the frontend's origin through CORS.
+    connect: context => {
+        if (!context.apiUrl) {
+            return {};
+        }
+        return {
+            files: {
+                'src/app/app.ts': renderBundledFile('connect/angular/app.ts.hbs', context),
+                'src/app/app.spec.ts': renderBundledFile('connect/angular/app.spec.ts.hbs', context)
+            }
+        };
+    },
+    apiUrlFile: 'src/app/app.ts',
+    // `ng test` starts a browser, so CI only builds the app.
+    tasks: { dev: 'ng serve', build: true },
+    docker: {
+        dockerfile: 'docker/static.Dockerfile.hbs',
+        port: 80,
+        buildDir: context => `dist/${context.appName}/browser`,
+        apiUrlArg: 'API_URL',
+        buildFlags: `--define "API_URL='$API_URL'"`
+    }
+};
@@ -0,0 +1,11 @@
+const { commandName, cliFiles } = require('./cli');
+
+module.exports = {
+    name: 'Bash',
+    roles: ['cli'],
+    language: 'bash',
+    // A getopts script in bin/ with a bats suite in test/.
+    files: context => cliFiles('stacks/cli-bash', context),
+    // Windows has no executable bit to set; the script runs with `bash` there.
+    install: context => (process.platform === 'win32' ? [] : [`chmod +x bin/${commandName(context.projectName)}`])
+};
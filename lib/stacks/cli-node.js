@@ -0,0 +1,12 @@
+const { cliFiles } = require('./cli');
+const { packageManagerOf, installCommand } = require('../package-manager');
+
+module.exports = {
+    name: 'Node.js',
+    roles: ['cli'],
+    language: 'node',
+    // A commander program with one module per subcommand, installed as the package's `bin`.
+    files: context => ({ ...cliFiles('stacks/cli-node', context), '.gitignore': 'node_modules/\n' }),
+    install: context => [installCommand(packageManagerOf(context))],
+    tasks: { test: true }
+};
@@ -0,0 +1,13 @@
+const { commandName, moduleName, cliFiles } = require('./cli');
+
+module.exports = {
+    name: 'Python',
+    roles: ['cli'],
+    language: 'python',
+    requirements: [],
+    devRequirements: ['pytest==8.3.4'],
+    // An argparse program in src/<package>, installed as a console script.
+    entryPoints: context => ({ [commandName(context.projectName)]: `${moduleName(context.projectName)}.cli:main` }),
+    test: '-m pytest',
+    files: context => cliFiles('stacks/cli-python', context)
+};
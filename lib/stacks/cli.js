@@ -0,0 +1,21 @@
+const { renderDirectory } = require('../templates');
+
+// The command a CLI tool is installed as, e.g. `billing-tool`: lowercase words joined by dashes,
+// which is also a valid npm package name.
+function commandName(projectName) {
+    return projectName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'cli';
+}
+
+// The Python package of a CLI tool, e.g. `billing_tool`.
+function moduleName(projectName) {
+    const name = commandName(projectName).replace(/-/g, '_');
+    return /^[0-9]/.test(name) ? `cli_${name}` : name;
+}
+
+// The files of a CLI skeleton in templates/stacks, rendered with the command and module names.
+function cliFiles(templateDir, context) {
+    const names = { commandName: commandName(context.projectName), moduleName: moduleName(context.projectName) };
+    return Object.fromEntries(renderDirectory(templateDir, { ...context, ...names }).map(file => [file.path, file.content]));
+}
+
+module.exports = { commandName, moduleName, cliFiles };
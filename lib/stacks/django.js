@@ -0,0 +1,58 @@
+const { normalizeProjectNameForDjango } = require('../naming');
+const { renderBundledFile, renderDirectory } = require('../templates');
+const { postgresUrl } = require('../database');
+
+module.exports = {
+    name: 'Python (Django)',
+    roles: ['backend'],
+    language: 'python',
+    // Django 4.2 LTS, the newest release that still runs on every Python the generated project allows.
+    requirements: [
+        'Django==4.2.20',
+        'djangorestframework==3.15.2',
+        'gunicorn==22.0.0',
+        'django-cors-headers==4.7.0',
+        'python-dotenv==1.0.1'
+    ],
+    run: 'manage.py runserver',
+    test: 'manage.py test',
+    commands: (context, env) => [`${env.python} -m django startproject ${normalizeProjectNameForDjango(context.projectName)} .`],
+    devPort: 8000,
+    env: context => ({
+        SECRET_KEY: 'change-me',
+        DEBUG: '1',
+        ALLOWED_HOSTS: 'localhost,127.0.0.1',
+        CORS_ORIGINS: context.frontendOrigin || ''
+    }),
+    connect: context => {
+        const module = normalizeProjectNameForDjango(context.projectName);
+        return {
+            files: { [`${module}/urls.py`]: renderBundledFile('connect/django/urls.py.hbs', context) },
+            append: { [`${module}/settings.py`]: renderBundledFile('connect/django/settings.py', context) }
+        };
+    },
+    // The Django ORM with a sample `items` app and its initial migration.
+    database: context => {
+        const module = normalizeProjectNameForDjango(context.projectName);
+        const postgres = context.database === 'PostgreSQL';
+        const files = renderDirectory('database/django/app', context);
+        return {
+            requirements: postgres ? ['psycopg2-binary==2.9.9'] : [],
+            files: Object.fromEntries(files.map(file => [file.path, file.content])),
+            append: {
+                [`${module}/settings.py`]: renderBundledFile('database/django/settings.py', context),
+                ...(postgres ? {} : { '.gitignore': 'db.sqlite3\n' })
+            },
+            env: { DATABASE_URL: postgres ? postgresUrl(context) : 'sqlite:///db.sqlite3' },
+            migrate: 'manage.py migrate',
+            orm: 'Django ORM'
+        };
+    },
+    docker: {
+        dockerfile: 'docker/python.Dockerfile.hbs',
+        port: 8000,
+        // A frontend that proxies the API calls it as `backend` inside the compose network.
+        environment: { SECRET_KEY: '${SECRET_KEY:-change-me}', DEBUG: '0', ALLOWED_HOSTS: 'backend,localhost,127.0.0.1' },
+        command: context => ['gunicorn', '--bind', '0.0.0.0:8000', `${normalizeProjectNameForDjango(context.projectName)}.wsgi:application`]
+    }
+};
@@ -0,0 +1,32 @@
+const { sqlalchemyDatabase } = require('./sqlalchemy');
+
+module.exports = {
+    name: 'Python (FastAPI)',
+    roles: ['backend'],
+    language: 'python',
+    requirements: [
+        'fastapi==0.115.12',
+        'uvicorn==0.35.0',
+        'pydantic==2.9.2',
+        'pydantic-settings==2.5.2'
+    ],
+    // httpx is what FastAPI's TestClient sends its requests with.
+    devRequirements: ['httpx==0.28.1', 'pytest==8.3.4'],
+    run: '-m uvicorn app.main:app --reload --port 8000',
+    test: '-m pytest',
+    template: 'stacks/fastapi',
+    devPort: 8000,
+    env: context => ({
+        APP_NAME: context.projectName,
+        DEBUG: 'true',
+        HOST: '0.0.0.0',
+        PORT: '8000',
+        CORS_ORIGINS: context.frontendOrigin || ''
+    }),
+    database: context => sqlalchemyDatabase('fastapi', context),
+    docker: {
+        dockerfile: 'docker/python.Dockerfile.hbs',
+        port: 8000,
+        command: () => ['uvicorn', 'app.main:app', '--host', '0.0.0.0', '--port', '8000']
+    }
+};
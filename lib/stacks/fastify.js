@@ -0,0 +1,3 @@
+const { nodeServerStack } = require('./node-server');
+
+module.exports = nodeServerStack('Fastify', 'fastify');
@@ -0,0 +1,27 @@
+const { sqlalchemyDatabase } = require('./sqlalchemy');
+
+module.exports = {
+    name: 'Python (Flask)',
+    roles: ['backend'],
+    language: 'python',
+    requirements: ['Flask==3.1.0', 'gunicorn==22.0.0', 'python-dotenv==1.0.1', 'flask-cors==6.0.5'],
+    devRequirements: ['pytest==8.3.4'],
+    run: 'wsgi.py',
+    test: '-m pytest',
+    template: 'stacks/flask',
+    devPort: 5000,
+    env: context => ({
+        APP_NAME: context.projectName,
+        SECRET_KEY: 'change-me',
+        FLASK_DEBUG: '1',
+        HOST: '0.0.0.0',
+        PORT: '5000',
+        CORS_ORIGINS: context.frontendOrigin || ''
+    }),
+    database: context => sqlalchemyDatabase('flask', context),
+    docker: {
+        dockerfile: 'docker/python.Dockerfile.hbs',
+        port: 5000,
+        command: () => ['gunicorn', '--bind', '0.0.0.0:5000', 'wsgi:app']
+    }
+};
@@ -0,0 +1,243 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { configHome } = require('../config');
+
+// A stack is a declarative description of one framework or language:
+//
+//   name          choice shown in the prompts, e.g. 'Python (Flask)'
+//   roles         where it can be used: 'frontend', 'backend' and/or 'cli'
+//   language      'node', 'python' or 'bash'
+//   typescript    whether a Node app is written in TypeScript: a boolean or (context) => boolean
+//   prompts       extra inquirer questions, only asked when the stack is selected
+//   tools         minimum versions of the tools the stack runs, e.g. `{ node: '20.9.0' }`, checked with
+//                 the tools of its language before scaffolding and by `smart-genesis doctor`
+//   requirements  Python dependencies installed into the project's environment
+//   devRequirements  Python dependencies only needed for development and tests, e.g. pytest
+//   entryPoints   (context) => console scripts of a Python package, `{ command: 'package.module:function' }`;
+//                 the package is built from src/<package> and installed into the environment
+//   run           arguments to the environment's interpreter that start the app
+//   test          arguments to the environment's interpreter that run the tests, also in CI
+//   tasks         workspace tasks (dev, build, lint, test) a Node app supports: `true` when its
+//                 package.json already has a script of that name, or the command to add as one.
+//                 CI runs lint, test and build.
+//   template      template tree rendered into the app directory (relative to templates/)
+//   commands      (context, env) => shell commands run inside the app directory;
+//                 for Python stacks `env.python` runs the environment's interpreter
+//   files         (context) => { relativePath: content } written after the template
+//   packageJson   (context) => fields set in the package.json a Node stack's generator wrote, e.g. its `name`
+//   install       (context) => shell commands run inside the app directory once every file is
+//                 written, e.g. installing the dependencies of a package.json the stack wrote. Not
+//                 run in a monorepo, whose workspace installs every app from the root.
+//   packageManagers  the package managers a Node stack's generator supports, if not all of them
+//                 (see lib/package-manager.js); `context.packageManager` is the chosen one
+//   devPort       port the development server listens on
+//   env           (context) => { NAME: value } written to .env and .env.example
+//   connect       (context) => { files, append } wiring the app to the other side of a Web App:
+//                 files to (over)write and content to append, both `{ relativePath: content }`.
+//                 Frontends get `context.apiUrl`, backends `context.frontendOrigin`.
+//   apiUrlFile    the file a frontend's wiring puts the backend URL in, when it is not read from `env`
+//   database      optional (context) => setup for `context.database` (SQLite or PostgreSQL), see
+//                 lib/database.js: `{ requirements, dependencies, devDependencies, scripts, files,
+//                 append, env, migrate, orm }`. Python stacks add `requirements`, Node stacks package.json
+//                 entries. `env.DATABASE_URL` is also passed to the templates as `databaseUrl`,
+//                 `migrate` applies the migrations (interpreter arguments for Python stacks) and
+//                 `orm` names the ORM for the README.
+//   docker        optional container setup, used when the project is containerized:
+//                   dockerfile   Dockerfile template (relative to templates/)
+//                   port         port the app listens on inside the container
+//                   command      (context) => exec-form command, for the shared Python Dockerfile
+//                   environment  variables the backend service gets in docker-compose.yml
+//                   apiUrlArg    build argument a frontend reads the backend URL from
+//                   proxiesApi   whether the frontend server forwards API calls, so apiUrlArg is the
+//                                backend's address inside the compose network
+//                   buildDir     output directory of a static frontend build, or (context) => directory
+//                   buildFlags   arguments the static Dockerfile passes on to the build script
+//                   prisma       (context) => whether the Nest.js Dockerfile copies the Prisma schema
+//
+// Stacks run the same way whatever the repository layout is. Besides the answers, the context has
+// `appName`, the name of the app's directory, which generators name the package after.
+const ROLES = ['frontend', 'backend', 'cli'];
+const PLUGIN_PREFIX = 'smart-genesis-stack-';
+
+const stacks = new Map();
+// Resolved paths of the plugins already loaded; the CLI and every API call load the plugins.
+const loadedPlugins = new Set();
+
+function registerStack(definition) {
+    if (!definition || typeof definition.name !== 'string' || !definition.name) {
+        throw new Error('A stack definition needs a name.');
+    }
+    const roles = definition.roles || [];
+    if (roles.length === 0 || roles.some(role => !ROLES.includes(role))) {
+        throw new Error(`Stack "${definition.name}" must declare roles from: ${ROLES.join(', ')}.`);
+    }
+    stacks.set(definition.name, {
+        language: 'node',
+        prompts: [],
+        commands: () => [],
+        files: () => ({}),
+        install: () => [],
+        env: () => ({}),
+        connect: () => ({}),
+        ...definition,
+        roles
+    });
+}
+
+function getStack(name) {
+    return stacks.get(name);
+}
+
+function stacksFor(role) {
+    return [...stacks.values()].filter(stack => stack.roles.includes(role));
+}
+
+function stackNames(role) {
+    return stacksFor(role).map(stack => stack.name);
+}
+
+// The framework answer that selects a stack for `role`.
+function frameworkFor(answers, role) {
+    if (role === 'frontend') {
+        return answers.frontendFramework;
+    }
+    if (role === 'backend') {
+        return answers.backendFramework || answers.apiFramework;
+    }
+    return answers.cliLanguage;
+}
+
+function roleApplies(projectType, role) {
+    if (role === 'frontend') {
+        return projectType === 'Web App';
+    }
+    if (role === 'backend') {
+        return projectType === 'Web App' || projectType === 'API';
+    }
+    return projectType === 'CLI Tool';
+}
+
+function isSelected(answers, stack) {
+    return stack.roles.some(role => roleApplies(answers.projectType, role) && frameworkFor(answers, role) === stack.name);
+}
+
+function selectedStacks(answers) {
+    return [...stacks.values()].filter(stack => isSelected(answers, stack));
+}
+
+// Stack prompts, merged by name so several stacks can share one question (e.g. useTypeScript).
+function stackQuestions() {
+    const questions = new Map();
+    for (const stack of stacks.values()) {
+        for (const question of stack.prompts) {
+            const entry = questions.get(question.name) || { question, owners: [] };
+            entry.owners.push(stack);
+            questions.set(question.name, entry);
+        }
+    }
+    return [...questions.values()].map(({ question, owners }) => ({
+        ...question,
+        owners,
+        when: answers => owners.some(stack => isSelected(answers, stack)) && (!question.when || question.when(answers))
+    }));
+}
+
+function loadPlugin(modulePath, label) {
+    if (loadedPlugins.has(modulePath)) {
+        return;
+    }
+    loadedPlugins.add(modulePath);
+    let plugin;
+    try {
+        plugin = require(modulePath);
+    } catch (error) {
+        throw new Error(`Could not load stack plugin ${label}: ${error.message}`);
+    }
+    // A plugin exports a stack, an array of stacks, or a function receiving the registry.
+    if (typeof plugin === 'function') {
+        plugin({ registerStack, getStack, stacksFor });
+    } else {
+        [].concat(plugin).forEach(registerStack);
+    }
+}
+
+// Plugin packages are only picked up from the node_modules of the directory Smart Genesis runs in,
+// not of its parents, which may belong to unrelated projects. When smart-genesis itself is installed
+// as a package, the packages installed next to it count as well (global installs).
+function pluginSearchDirs(cwd) {
+    const dirs = [path.join(cwd, 'node_modules')];
+    const ownModules = path.resolve(__dirname, '..', '..', '..');
+    if (path.basename(ownModules) === 'node_modules') {
+        dirs.push(ownModules);
+    }
+    return [...new Set(dirs)].filter(dir => fs.existsSync(dir));
+}
+
+function discoverPluginPackages(cwd) {
+    const found = new Map();
+    for (const dir of pluginSearchDirs(cwd)) {
+        for (const entry of fs.readdirSync(dir)) {
+            if (entry.startsWith(PLUGIN_PREFIX) && !found.has(entry)) {
+                found.set(entry, path.join(dir, entry));
+            } else if (entry.startsWith('@')) {
+                const scopeDir = path.join(dir, entry);
+                for (const scoped of fs.readdirSync(scopeDir)) {
+                    const name = `${entry}/${scoped}`;
+                    if (scoped.startsWith(PLUGIN_PREFIX) && !found.has(name)) {
+                        found.set(name, path.join(scopeDir, scoped));
+                    }
+                }
+            }
+        }
+    }
+    return found;
+}
+
+// Register stacks from the `smart-genesis-stack-*` packages installed in `cwd` and from `stackPlugins`
+// in the config. A plugin is only loaded once, however often this runs.
+function loadStackPlugins(config = {}, cwd = process.cwd()) {
+    for (const [name, modulePath] of discoverPluginPackages(cwd)) {
+        loadPlugin(require.resolve(modulePath), name);
+    }
+    for (const spec of config.stackPlugins || []) {
+        let modulePath;
+        try {
+            modulePath = require.resolve(spec, { paths: [cwd, configHome()] });
+        } catch (error) {
+            throw new Error(`Could not find stack plugin ${spec}.`);
+        }
+        loadPlugin(modulePath, spec);
+    }
+}
+
+[
+    require('./nextjs'),
+    require('./react'),
+    require('./vite'),
+    require('./angular'),
+    require('./sveltekit'),
+    require('./nuxt'),
+    require('./nestjs'),
+    require('./express'),
+    require('./fastify'),
+    require('./hono'),
+    require('./django'),
+    require('./flask'),
+    require('./fastapi'),
+    require('./cli-node'),
+    require('./cli-bash'),
+    require('./cli-python')
+].forEach(registerStack);
+
+module.exports = {
+    registerStack,
+    getStack,
+    stacksFor,
+    stackNames,
+    frameworkFor,
+    roleApplies,
+    isSelected,
+    selectedStacks,
+    stackQuestions,
+    loadStackPlugins
+};
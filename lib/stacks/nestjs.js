@@ -0,0 +1,88 @@
+const { renderBundledFile, renderDirectory } = require('../templates');
+const { hasDatabase, postgresUrl } = require('../database');
+const { packageManagerOf, installCommand, scriptCommand, dlxCommand } = require('../package-manager');
+
+const ORMS = ['Prisma', 'TypeORM'];
+const SQLITE_URL = 'file:./dev.db';
+
+const PRISMA_VERSION = '^6.19.3';
+
+function ormOf(context) {
+    return ORMS.includes(context.orm) ? context.orm : ORMS[0];
+}
+
+// Packages and scripts per ORM; `postgres` selects the driver. The Prisma CLI is a dependency so
+// that `prisma migrate deploy` can run in the production image.
+function ormPackages(orm, postgres) {
+    if (orm === 'TypeORM') {
+        return {
+            dependencies: {
+                '@nestjs/typeorm': '^12.0.2',
+                'typeorm': '^0.3.31',
+                ...(postgres ? { pg: '^8.23.1' } : { 'better-sqlite3': '^12.11.1' })
+            },
+            devDependencies: {},
+            scripts: { 'db:migrate': 'nest build && typeorm migration:run -d dist/data-source.js' }
+        };
+    }
+    return {
+        dependencies: { '@prisma/client': PRISMA_VERSION, prisma: PRISMA_VERSION },
+        devDependencies: {},
+        scripts: { 'postinstall': 'prisma generate', 'db:migrate': 'prisma migrate deploy' }
+    };
+}
+
+module.exports = {
+    name: 'Nest.js',
+    roles: ['backend'],
+    language: 'node',
+    typescript: true,
+    // src/main.ts and the TypeORM data source read .env with process.loadEnvFile().
+    tools: { node: '20.12.0' },
+    prompts: [
+        {
+            type: 'list',
+            name: 'orm',
+            message: 'Which ORM should the Nest.js backend use?',
+            choices: ORMS,
+            default: 'Prisma',
+            when: hasDatabase
+        }
+    ],
+    // The dependencies are installed once the database packages are in package.json. The Nest CLI
+    // does not know bun, which makes no difference when it installs nothing.
+    commands: context => {
+        const tool = packageManagerOf(context);
+        return [dlxCommand(tool, `@nestjs/cli new . --skip-install --skip-git --package-manager ${tool === 'bun' ? 'npm' : tool}`)];
+    },
+    install: context => [installCommand(packageManagerOf(context))],
+    // Next to a frontend on port 3000 during development.
+    devPort: 3001,
+    env: context => ({ PORT: '3001', CORS_ORIGINS: context.frontendOrigin || '' }),
+    connect: context => ({
+        files: { 'src/main.ts': renderBundledFile('connect/nestjs/main.ts', context) },
+        // `nest new --skip-git` leaves the project without a .gitignore.
+        append: { '.gitignore': 'node_modules/\ndist/\n.env\n' }
+    }),
+    // A sample model with its initial migration, and AppModule wired to the ORM.
+    database: context => {
+        const postgres = context.database === 'PostgreSQL';
+        const orm = ormOf(context);
+        const files = renderDirectory(`database/${orm.toLowerCase()}`, { ...context, postgres });
+        return {
+            ...ormPackages(orm, postgres),
+            files: Object.fromEntries(files.map(file => [file.path, file.content])),
+            append: postgres ? {} : { '.gitignore': orm === 'Prisma' ? 'prisma/dev.db*\n' : 'dev.db\n' },
+            env: { DATABASE_URL: postgres ? postgresUrl(context) : SQLITE_URL },
+            migrate: scriptCommand(packageManagerOf(context), 'db:migrate'),
+            orm
+        };
+    },
+    tasks: { dev: 'nest start --watch', build: true, lint: true, test: true },
+    docker: {
+        dockerfile: 'docker/nestjs.Dockerfile.hbs',
+        port: 3000,
+        // The Prisma schema is needed by the `prisma generate` postinstall and by migrations in the image.
+        prisma: context => hasDatabase(context) && ormOf(context) === 'Prisma'
+    }
+};
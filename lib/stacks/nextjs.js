@@ -0,0 +1,42 @@
+const { renderBundledFile } = require('../templates');
+const { packageManagerOf, createCommand } = require('../package-manager');
+
+module.exports = {
+    name: 'Next.js',
+    roles: ['frontend'],
+    language: 'node',
+    // create-next-app installs the latest Next.js.
+    tools: { node: '20.9.0' },
+    typescript: context => Boolean(context.useTypeScript),
+    prompts: [
+        {
+            type: 'confirm',
+            name: 'useTypeScript',
+            message: 'Would you like to use TypeScript for your frontend?',
+            default: true
+        }
+    ],
+    // create-next-app installs the dependencies with the package manager it is told to use.
+    commands: context => {
+        const tool = packageManagerOf(context);
+        const tsFlag = context.useTypeScript ? ' --typescript' : ' --javascript';
+        return [createCommand(tool, 'next-app', `.${tsFlag} --app --skip-git --use-${tool}`)];
+    },
+    devPort: 3000,
+    env: context => (context.apiUrl ? { API_URL: context.apiUrl } : {}),
+    connect: context => {
+        if (!context.apiUrl) {
+            return {};
+        }
+        return {
+            files: {
+                [context.useTypeScript ? 'next.config.ts' : 'next.config.mjs']: renderBundledFile('connect/nextjs/next.config.hbs', context),
+                [context.useTypeScript ? 'app/page.tsx' : 'app/page.js']: renderBundledFile('connect/nextjs/page.hbs', context)
+            },
+            // create-next-app ignores every .env* file.
+            append: { '.gitignore': '\n!.env.example\n' }
+        };
+    },
+    tasks: { dev: true, build: true, lint: true },
+    docker: { dockerfile: 'docker/nextjs.Dockerfile.hbs', port: 3000, apiUrlArg: 'API_URL', proxiesApi: true }
+};
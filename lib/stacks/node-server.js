@@ -0,0 +1,24 @@
+const { packageManagerOf, installCommand } = require('../package-manager');
+
+// The Node backends without a generator of their own (Express, Fastify, Hono) are written from
+// templates/stacks/<template>: the app in src/app.js, started by src/server.js, with `GET /` and
+// `GET /health` and tests run by `node --test`.
+function nodeServerStack(name, template) {
+    return {
+        name,
+        roles: ['backend'],
+        language: 'node',
+        // src/server.js reads .env with process.loadEnvFile().
+        tools: { node: '20.12.0' },
+        template: `stacks/${template}`,
+        files: () => ({ '.gitignore': 'node_modules/\n.env\n' }),
+        install: context => [installCommand(packageManagerOf(context))],
+        // Next to a frontend on port 3000 during development.
+        devPort: 3001,
+        env: context => ({ APP_NAME: context.projectName, PORT: '3001', CORS_ORIGINS: context.frontendOrigin || '' }),
+        tasks: { dev: true, test: true },
+        docker: { dockerfile: 'docker/node.Dockerfile.hbs', port: 3000 }
+    };
+}
+
+module.exports = { nodeServerStack };
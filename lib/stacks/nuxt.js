@@ -0,0 +1,32 @@
+const { renderBundledFile } = require('../templates');
+const { packageManagerOf, installCommand, dlxCommand } = require('../package-manager');
+
+module.exports = {
+    name: 'Nuxt',
+    roles: ['frontend'],
+    language: 'node',
+    typescript: true,
+    tools: { node: '20.19.0' },
+    commands: context => {
+        const tool = packageManagerOf(context);
+        return [dlxCommand(tool, `nuxi@latest init . --template minimal --force --packageManager ${tool} --no-gitInit --no-install --no-modules`)];
+    },
+    install: context => [installCommand(packageManagerOf(context))],
+    // The starter names its package nuxt-app; workspaces select the app by its directory's name.
+    packageJson: context => ({ name: context.appName }),
+    devPort: 3000,
+    env: context => (context.apiUrl ? { API_URL: context.apiUrl } : {}),
+    connect: context => {
+        if (!context.apiUrl) {
+            return {};
+        }
+        return {
+            files: {
+                'nuxt.config.ts': renderBundledFile('connect/nuxt/nuxt.config.ts.hbs', context),
+                'app/app.vue': renderBundledFile('connect/nuxt/app.vue.hbs', context)
+            }
+        };
+    },
+    tasks: { dev: true, build: true },
+    docker: { dockerfile: 'docker/nuxt.Dockerfile.hbs', port: 3000, apiUrlArg: 'API_URL', proxiesApi: true }
+};
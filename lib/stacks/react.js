@@ -0,0 +1,28 @@
+const { renderBundledFile } = require('../templates');
+const { packageManagerOf, createCommand } = require('../package-manager');
+
+module.exports = {
+    name: 'React',
+    roles: ['frontend'],
+    language: 'node',
+    // create-react-app installs with yarn when it is run by yarn and with npm otherwise.
+    packageManagers: ['npm', 'yarn'],
+    commands: context => [createCommand(packageManagerOf(context), 'react-app', '. --skip-git')],
+    devPort: 3000,
+    env: context => (context.apiUrl ? { REACT_APP_API_URL: context.apiUrl } : {}),
+    // The dev server's proxy only forwards non-HTML requests, so the page calls the backend directly through CORS.
+    connect: context => {
+        if (!context.apiUrl) {
+            return {};
+        }
+        return {
+            files: {
+                'src/App.js': renderBundledFile('connect/react/App.js.hbs', context),
+                'src/App.test.js': renderBundledFile('connect/react/App.test.js', context)
+            },
+            append: { '.gitignore': '\n.env\n' }
+        };
+    },
+    tasks: { dev: 'react-scripts start', build: true, test: 'react-scripts test --watchAll=false' },
+    docker: { dockerfile: 'docker/static.Dockerfile.hbs', port: 80, buildDir: 'build', apiUrlArg: 'REACT_APP_API_URL' }
+};
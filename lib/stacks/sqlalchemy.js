@@ -0,0 +1,21 @@
+const { postgresUrl } = require('../database');
+const { renderDirectory } = require('../templates');
+
+const SQLITE_FILE = 'app.db';
+
+// SQLAlchemy models with Alembic migrations, shared by the Flask and FastAPI stacks: the
+// common files in templates/database/sqlalchemy plus the stack's `app/db.py`.
+function sqlalchemyDatabase(templateDir, context) {
+    const postgres = context.database === 'PostgreSQL';
+    const files = [...renderDirectory('database/sqlalchemy', context), ...renderDirectory(`database/${templateDir}`, context)];
+    return {
+        requirements: ['SQLAlchemy==2.0.36', 'alembic==1.13.1', ...(postgres ? ['psycopg2-binary==2.9.9'] : [])],
+        files: Object.fromEntries(files.map(file => [file.path, file.content])),
+        append: postgres ? {} : { '.gitignore': `${SQLITE_FILE}\n` },
+        env: { DATABASE_URL: postgres ? postgresUrl(context) : `sqlite:///${SQLITE_FILE}` },
+        migrate: '-m alembic upgrade head',
+        orm: 'SQLAlchemy'
+    };
+}
+
+module.exports = { sqlalchemyDatabase };
@@ -0,0 +1,39 @@
+const { renderBundledFile } = require('../templates');
+const { packageManagerOf, installCommand, dlxCommand } = require('../package-manager');
+
+module.exports = {
+    name: 'SvelteKit',
+    roles: ['frontend'],
+    language: 'node',
+    tools: { node: '20.19.0' },
+    typescript: context => Boolean(context.useTypeScript),
+    prompts: [
+        {
+            type: 'confirm',
+            name: 'useTypeScript',
+            message: 'Would you like to use TypeScript for your frontend?',
+            default: true
+        }
+    ],
+    // The minimal template without add-ons; JavaScript projects are type-checked through JSDoc.
+    commands: context => [
+        dlxCommand(packageManagerOf(context), `sv@latest create . --template minimal --types ${context.useTypeScript ? 'ts' : 'jsdoc'} --no-add-ons --no-install`)
+    ],
+    install: context => [installCommand(packageManagerOf(context))],
+    devPort: 5173,
+    env: context => (context.apiUrl ? { API_URL: context.apiUrl } : {}),
+    // A server route forwards /api to the backend, in development and in production alike.
+    connect: context => {
+        if (!context.apiUrl) {
+            return {};
+        }
+        const templateContext = { ...context, typescript: Boolean(context.useTypeScript) };
+        return {
+            files: {
+                [`src/routes/api/[...path]/+server.${context.useTypeScript ? 'ts' : 'js'}`]: renderBundledFile('connect/sveltekit/server.hbs', templateContext),
+                'src/routes/+page.svelte': renderBundledFile('connect/sveltekit/page.svelte.hbs', templateContext)
+            }
+        };
+    },
+    tasks: { dev: true, build: true }
+};
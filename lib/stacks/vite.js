@@ -0,0 +1,63 @@
+const { renderBundledFile } = require('../templates');
+const { packageManagerOf, installCommand, createCommand } = require('../package-manager');
+
+const DEV_PORT = 5173;
+
+// The create-vite templates offered, with the Vite plugin their config loads and the file the
+// wiring replaces to show the backend's response.
+const TEMPLATES = {
+    'react': { plugin: { import: "import react from '@vitejs/plugin-react'", call: 'react()' }, page: 'src/App.jsx', source: 'App.jsx.hbs' },
+    'react-ts': { plugin: { import: "import react from '@vitejs/plugin-react'", call: 'react()' }, page: 'src/App.tsx', source: 'App.jsx.hbs' },
+    'vue': { plugin: { import: "import vue from '@vitejs/plugin-vue'", call: 'vue()' }, page: 'src/App.vue', source: 'App.vue.hbs' },
+    'vue-ts': { plugin: { import: "import vue from '@vitejs/plugin-vue'", call: 'vue()' }, page: 'src/App.vue', source: 'App.vue.hbs' },
+    'svelte': { plugin: { import: "import { svelte } from '@sveltejs/vite-plugin-svelte'", call: 'svelte()' }, page: 'src/App.svelte', source: 'App.svelte.hbs' },
+    'svelte-ts': { plugin: { import: "import { svelte } from '@sveltejs/vite-plugin-svelte'", call: 'svelte()' }, page: 'src/App.svelte', source: 'App.svelte.hbs' },
+    'vanilla': { plugin: null, page: 'src/main.js', source: 'main.js.hbs' }
+};
+
+function viteTemplate(context) {
+    return TEMPLATES[context.viteTemplate] ? context.viteTemplate : 'react';
+}
+
+function isTypeScript(context) {
+    return viteTemplate(context).endsWith('-ts');
+}
+
+module.exports = {
+    name: 'Vite',
+    roles: ['frontend'],
+    language: 'node',
+    tools: { node: '20.19.0' },
+    typescript: isTypeScript,
+    prompts: [
+        {
+            type: 'list',
+            name: 'viteTemplate',
+            message: 'Which Vite template should the frontend use?',
+            choices: Object.keys(TEMPLATES),
+            default: 'react'
+        }
+    ],
+    commands: context => [createCommand(packageManagerOf(context), 'vite@latest', `. --template ${viteTemplate(context)} --skip-git`)],
+    // create-vite only writes the files.
+    install: context => [installCommand(packageManagerOf(context))],
+    devPort: DEV_PORT,
+    env: context => (context.apiUrl ? { VITE_API_URL: '/api', API_URL: context.apiUrl } : {}),
+    connect: context => {
+        if (!context.apiUrl) {
+            return {};
+        }
+        const template = TEMPLATES[viteTemplate(context)];
+        const configFile = isTypeScript(context) ? 'vite.config.ts' : 'vite.config.js';
+        const templateContext = { ...context, devPort: DEV_PORT, plugin: template.plugin, typescript: isTypeScript(context), configFile };
+        return {
+            files: {
+                [configFile]: renderBundledFile('connect/vite/vite.config.hbs', templateContext),
+                [template.page]: renderBundledFile(`connect/vite/${template.source}`, templateContext)
+            },
+            append: { '.gitignore': '\n.env\n' }
+        };
+    },
+    tasks: { dev: true, build: true },
+    docker: { dockerfile: 'docker/static.Dockerfile.hbs', port: 80, buildDir: 'dist', apiUrlArg: 'VITE_API_URL' }
+};
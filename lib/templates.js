@@ -0,0 +1,261 @@
+const fs = require('fs-extra');
+const path = require('path');
+const handlebars = require('handlebars');
+const YAML = require('yaml');
+const { configHome } = require('./config');
+
+const BUNDLED_TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const MANIFEST_NAMES = ['template.json', 'template.yml', 'template.yaml'];
+
+function renderTemplate(templatePath, context) {
+    const templateContent = fs.readFileSync(templatePath, 'utf-8');
+    const template = handlebars.compile(templateContent);
+    return template(context);
+}
+
+function renderString(source, context) {
+    return handlebars.compile(source)(context);
+}
+
+// Quote a value as a string literal that is valid in JSON, JavaScript and Python source.
+handlebars.registerHelper('json', value => JSON.stringify(value === undefined || value === null ? '' : value));
+handlebars.registerHelper('eq', (a, b) => a === b);
+// A shell argument, quoted when it has characters the shell would split or expand.
+handlebars.registerHelper('shellArg', value => {
+    const text = String(value === undefined || value === null ? '' : value);
+    return new handlebars.SafeString(/^[\w@%+=:,./-]+$/.test(text) ? text : `'${text.replace(/'/g, `'\\''`)}'`);
+});
+
+// Sections shared by the README templates, e.g. `{{> installation}}`. Every template can use them.
+const PARTIALS_DIR = path.join(BUNDLED_TEMPLATES_DIR, 'partials');
+for (const file of fs.readdirSync(PARTIALS_DIR).filter(name => name.endsWith('.hbs'))) {
+    handlebars.registerPartial(path.basename(file, '.hbs'), fs.readFileSync(path.join(PARTIALS_DIR, file), 'utf-8'));
+}
+
+// `.hbs` files go through Handlebars, anything else is copied byte for byte.
+function renderFile(source, context) {
+    return source.endsWith('.hbs') ? renderTemplate(source, context) : fs.readFileSync(source);
+}
+
+// Render one file of the bundled templates folder, e.g. a file a stack writes over a generated one.
+function renderBundledFile(relativePath, context) {
+    return renderFile(path.join(BUNDLED_TEMPLATES_DIR, relativePath), context);
+}
+
+function normalizeName(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function readManifest(dir) {
+    const file = MANIFEST_NAMES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+    if (!file) {
+        return null;
+    }
+    let manifest;
+    try {
+        const content = fs.readFileSync(file, 'utf-8');
+        manifest = file.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid template manifest ${file}: ${error.message}`);
+    }
+    if (!manifest || typeof manifest !== 'object') {
+        throw new Error(`Invalid template manifest ${file}: expected an object.`);
+    }
+    return {
+        name: manifest.name || path.basename(dir),
+        version: manifest.version !== undefined ? String(manifest.version) : null,
+        dir,
+        types: manifest.types || [],
+        stacks: manifest.stacks || [],
+        files: manifest.files,
+        prompts: manifest.prompts || []
+    };
+}
+
+// A template directory is either a single template set (it has a manifest)
+// or a folder whose direct subdirectories are template sets.
+function discoverTemplateSets(root) {
+    if (!fs.existsSync(root)) {
+        return [];
+    }
+    const manifest = readManifest(root);
+    if (manifest) {
+        return [manifest];
+    }
+    return fs.readdirSync(root, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort()
+        .map(name => readManifest(path.join(root, name)))
+        .filter(Boolean);
+}
+
+// Bundled templates first, then the user's, then team directories, so later sets win on conflicts.
+function templateDirs(config = {}, extraDirs = []) {
+    return [
+        BUNDLED_TEMPLATES_DIR,
+        path.join(configHome(), 'templates'),
+        ...(config.templateDirs || []),
+        ...extraDirs
+    ].map(dir => path.resolve(dir));
+}
+
+function loadTemplateSets(dirs) {
+    return dirs.flatMap(discoverTemplateSets);
+}
+
+function matches(list, value) {
+    if (!list || list.length === 0) {
+        return true;
+    }
+    return Boolean(value) && list.some(item => normalizeName(item) === normalizeName(value));
+}
+
+// The framework or language an overlay of `templateType` is rendered for.
+function stackFor(context, templateType) {
+    if (templateType === 'web-app') {
+        return context.frontendFramework;
+    }
+    if (templateType === 'api') {
+        return context.backendFramework || context.apiFramework;
+    }
+    return context.cliLanguage;
+}
+
+function setApplies(set, templateType, stack) {
+    return matches(set.types, templateType) && matches(set.stacks, stack);
+}
+
+// The overlays a run will render, used to decide which template prompts to ask.
+function overlayTargets(answers) {
+    if (answers.projectType === 'Web App') {
+        const targets = [{ type: 'web-app', stack: answers.frontendFramework }];
+        if (answers.includeBackend) {
+            targets.push({ type: 'api', stack: answers.backendFramework });
+        }
+        return targets;
+    }
+    if (answers.projectType === 'API') {
+        return [{ type: 'api', stack: answers.apiFramework }];
+    }
+    return [{ type: 'cli-tool', stack: answers.cliLanguage }];
+}
+
+function templatePrompts(sets, targets) {
+    const prompts = [];
+    for (const set of sets) {
+        if (!targets.some(target => setApplies(set, target.type, target.stack))) {
+            continue;
+        }
+        for (const question of set.prompts) {
+            if (!prompts.some(existing => existing.name === question.name)) {
+                prompts.push(question);
+            }
+        }
+    }
+    return prompts;
+}
+
+function listFiles(dir, base = dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                return listFiles(fullPath, base);
+            }
+            return [path.relative(base, fullPath)];
+        });
+}
+
+function defaultDestination(relativePath) {
+    return relativePath.endsWith('.hbs') ? relativePath.slice(0, -'.hbs'.length) : relativePath;
+}
+
+// Expand the manifest's `files` (or every file in the set) into concrete source/destination pairs.
+function setEntries(set, stack) {
+    const declared = set.files || [{ src: '.' }];
+    const entries = [];
+    for (const file of declared) {
+        if (!matches(file.stacks, stack)) {
+            continue;
+        }
+        const source = path.join(set.dir, file.src);
+        if (!fs.existsSync(source)) {
+            throw new Error(`Template "${set.name}" declares ${file.src}, which does not exist in ${set.dir}.`);
+        }
+        if (fs.statSync(source).isDirectory()) {
+            const destBase = file.dest || (file.src === '.' ? '' : file.src);
+            for (const relativePath of listFiles(source)) {
+                if (source === set.dir && MANIFEST_NAMES.includes(relativePath)) {
+                    continue;
+                }
+                entries.push({ source: path.join(source, relativePath), dest: path.join(destBase, defaultDestination(relativePath)) });
+            }
+        } else {
+            entries.push({ source, dest: file.dest || defaultDestination(file.src) });
+        }
+    }
+    return entries;
+}
+
+// Whether `relativePath` points outside the directory it is relative to, e.g. `../x` or `/x`.
+function leavesDir(relativePath) {
+    return path.isAbsolute(relativePath) || relativePath === '..' || relativePath.startsWith(`..${path.sep}`);
+}
+
+// The absolute path of a rendered overlay `file` in `targetDir`. Template paths come from user and
+// team directories, so one that does not stay below `targetDir` is rejected.
+function resolveDestination(targetDir, file) {
+    const filePath = path.resolve(targetDir, file.path);
+    const relative = path.relative(targetDir, filePath);
+    if (relative === '' || leavesDir(relative)) {
+        throw new Error(`Template "${file.template}" writes ${file.path}, which is outside ${targetDir}.`);
+    }
+    return filePath;
+}
+
+// Render every applicable file of every set. `.hbs` files go through Handlebars, other files
+// are copied as-is, and destination paths may themselves contain Handlebars expressions.
+function renderTemplateSets(sets, context, templateType) {
+    const stack = stackFor(context, templateType);
+    const rendered = new Map();
+    for (const set of sets) {
+        if (!setApplies(set, templateType, stack)) {
+            continue;
+        }
+        for (const entry of setEntries(set, stack)) {
+            const dest = renderString(entry.dest, context);
+            const normalized = path.normalize(dest);
+            if (normalized === '.' || leavesDir(normalized)) {
+                throw new Error(`Template "${set.name}" writes ${entry.dest} to ${dest}, which is outside the project.`);
+            }
+            rendered.set(dest, { path: dest, content: renderFile(entry.source, context), template: set.name, version: set.version });
+        }
+    }
+    return [...rendered.values()];
+}
+
+// Render a whole template tree, e.g. a stack's project skeleton. Relative `dir`s are
+// resolved against the bundled templates folder.
+function renderDirectory(dir, context) {
+    const root = path.resolve(BUNDLED_TEMPLATES_DIR, dir);
+    return listFiles(root).map(relativePath => ({
+        path: renderString(defaultDestination(relativePath), context),
+        content: renderFile(path.join(root, relativePath), context)
+    }));
+}
+
+module.exports = {
+    BUNDLED_TEMPLATES_DIR,
+    renderTemplate,
+    renderBundledFile,
+    renderDirectory,
+    templateDirs,
+    loadTemplateSets,
+    overlayTargets,
+    templatePrompts,
+    renderTemplateSets,
+    resolveDestination,
+    stackFor
+};
@@ -0,0 +1,189 @@
+const path = require('path');
+const YAML = require('yaml');
+const { getStack } = require('./stacks');
+const { pythonEnvironment, pythonUsage } = require('./python');
+const { BUNDLED_TEMPLATES_DIR, renderTemplate } = require('./templates');
+const { packageManagerOf, installCommand, scriptCommand, execCommand } = require('./package-manager');
+const { isMonorepo } = require('./layout');
+
+const TASKS = ['dev', 'build', 'lint', 'test'];
+const PREFIX_COLORS = ['blue', 'green', 'magenta', 'cyan'];
+
+const CONCURRENTLY_VERSION = '^9.1.2';
+const TURBO_VERSION = '^2.3.3';
+
+const GITIGNORE = `node_modules/
+.turbo/
+`;
+
+function packageName(projectName) {
+    return projectName.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[-._]+|[-._]+$/g, '') || 'app';
+}
+
+// Turborepo needs the root package.json to name the package manager with its version.
+function namesPackageManager(context) {
+    return isMonorepo(context) && Boolean(context.turborepo);
+}
+
+function packageManagerVersion(tool, executor) {
+    try {
+        return `${tool}@${executor.output(`${tool} --version`).trim()}`;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+// The workspace scripts of one app, keyed by task. Python apps run their stack's `run` and
+// `test` arguments with the environment's interpreter; Node apps use the stack's `tasks`.
+function appTasks(app, context) {
+    const stack = getStack(app.framework);
+    if (!stack) {
+        return {};
+    }
+    if (stack.language === 'python' && stack.requirements) {
+        const { python } = pythonEnvironment(context.pythonTool, context, stack.requirements);
+        const tasks = {};
+        if (stack.run) {
+            tasks.dev = `${python} ${stack.run}`;
+        }
+        if (stack.test) {
+            tasks.test = `${python} ${stack.test}`;
+        }
+        return tasks;
+    }
+    return stack.tasks || {};
+}
+
+// The command that runs a Node app's `task` inside its directory. Tasks given as a command are
+// only added as scripts in a monorepo workspace, so a single app runs them as a binary of its
+// dependencies.
+function taskCommand(stack, task, tool = 'npm', workspace = false) {
+    const command = stack.tasks && stack.tasks[task];
+    if (!command) {
+        return null;
+    }
+    return command === true || workspace ? scriptCommand(tool, task) : execCommand(tool, command);
+}
+
+// Yarn selects workspaces by package name, which is the app's name like its directory.
+function runInApp(tool, app, task) {
+    if (tool === 'pnpm') {
+        return `pnpm --filter ./${app.path} run ${task}`;
+    }
+    if (tool === 'yarn') {
+        return `yarn workspace ${app.name} run ${task}`;
+    }
+    if (tool === 'bun') {
+        return `bun run --filter ./${app.path} ${task}`;
+    }
+    return `npm run ${task} --workspace ${app.path}`;
+}
+
+// Root scripts: Turborepo runs each task in every app that defines it; otherwise concurrently
+// runs the apps side by side with their output prefixed by the app's name.
+function rootScripts(context, apps) {
+    const scripts = {};
+    for (const task of TASKS) {
+        const runners = apps.filter(app => app.tasks[task]);
+        if (runners.length === 0) {
+            continue;
+        }
+        if (context.turborepo) {
+            scripts[task] = `turbo run ${task}`;
+            continue;
+        }
+        const names = runners.map(app => app.name).join(',');
+        const colors = runners.map((app, index) => PREFIX_COLORS[index % PREFIX_COLORS.length]).join(',');
+        const commands = runners.map(app => `"${runInApp(packageManagerOf(context), app, task)}"`).join(' ');
+        const killOthers = task === 'dev' ? ' --kill-others' : '';
+        scripts[task] = `concurrently --names ${names} --prefix-colors ${colors}${killOthers} ${commands}`;
+    }
+    return scripts;
+}
+
+function turboJson() {
+    return {
+        $schema: 'https://turbo.build/schema.json',
+        tasks: {
+            build: { dependsOn: ['^build'], outputs: ['.next/**', '!.next/cache/**', 'dist/**', 'build/**'] },
+            lint: {},
+            test: {},
+            dev: { cache: false, persistent: true }
+        }
+    };
+}
+
+// `apps` are the project's apps (see lib/layout.js) below `root`; `executor` looks up the version
+// of the package manager for Turborepo. Returns what the monorepo scaffold needs to turn the root
+// into a workspace:
+//   files    root files, `{ relativePath: content }`
+//   apps     per app: `{ dir, language, scripts, packageJson }`; Node apps only get `scripts` added
+//            to their package.json, Python apps get `packageJson` so the workspace tools can run them
+//   install  command that installs every workspace package from the root
+function workspaceSetup(context, apps, root, executor) {
+    const tool = packageManagerOf(context);
+    const members = apps.map(app => {
+        const stack = getStack(app.framework);
+        return {
+            ...app,
+            name: app.role,
+            path: path.relative(root, app.dir).split(path.sep).join('/'),
+            language: stack ? stack.language : undefined,
+            tasks: appTasks(app, context)
+        };
+    });
+
+    const packageJson = {
+        name: packageName(context.projectName),
+        version: '0.1.0',
+        private: true,
+        description: context.description || undefined,
+        // pnpm reads its workspace from pnpm-workspace.yaml instead.
+        workspaces: tool !== 'pnpm' ? ['apps/*'] : undefined,
+        scripts: rootScripts(context, members),
+        devDependencies: context.turborepo ? { turbo: TURBO_VERSION } : { concurrently: CONCURRENTLY_VERSION },
+        packageManager: namesPackageManager(context) ? packageManagerVersion(tool, executor) : undefined
+    };
+
+    const files = {
+        'package.json': `${JSON.stringify(packageJson, null, 2)}\n`,
+        '.gitignore': GITIGNORE
+    };
+    if (tool === 'pnpm') {
+        files['pnpm-workspace.yaml'] = YAML.stringify({ packages: ['apps/*'] });
+    }
+    if (context.turborepo) {
+        files['turbo.json'] = `${JSON.stringify(turboJson(), null, 2)}\n`;
+    }
+    files['README.md'] = renderTemplate(path.join(BUNDLED_TEMPLATES_DIR, 'workspace', 'README.md.hbs'), {
+        ...context,
+        packageManager: tool,
+        install: installCommand(tool),
+        scripts: Object.keys(packageJson.scripts).map(task => ({ task, command: scriptCommand(tool, task) })),
+        apps: members.map(member => ({
+            name: member.name,
+            path: member.path,
+            framework: member.framework,
+            python: pythonUsage(context.pythonTool, getStack(member.framework), context)
+        }))
+    });
+
+    return {
+        files,
+        apps: members.map(member => {
+            const scripts = Object.fromEntries(Object.entries(member.tasks).filter(([, command]) => command !== true));
+            const isPython = member.language === 'python';
+            return {
+                dir: member.dir,
+                language: member.language,
+                scripts,
+                packageJson: isPython
+                    ? `${JSON.stringify({ name: member.name, version: '0.1.0', private: true, scripts }, null, 2)}\n`
+                    : undefined
+            };
+        }),
+        install: installCommand(tool)
+    };
+}
+
+module.exports = { TASKS, taskCommand, namesPackageManager, workspaceSetup };
@@ -0,0 +1,15 @@
+import { existsSync } from 'fs';
+import { NestFactory } from '@nestjs/core';
+import { AppModule } from './app.module.js';
+
+async function bootstrap() {
+  // Read PORT and CORS_ORIGINS from .env when there is one.
+  if (existsSync('.env')) {
+    process.loadEnvFile();
+  }
+  const app = await NestFactory.create(AppModule);
+  const origins = (process.env.CORS_ORIGINS ?? '').split(',').filter(Boolean);
+  app.enableCors({ origin: origins });
+  await app.listen(process.env.PORT ?? 3000);
+}
+void bootstrap();
@@ -0,0 +1,11 @@
+import { render, screen } from '@testing-library/react';
+import App from './App';
+
+beforeEach(() => {
+  global.fetch = jest.fn(() => Promise.resolve({ text: () => Promise.resolve('Hello from the backend') }));
+});
+
+test('shows the response of the backend root route', async () => {
+  render(<App />);
+  expect(await screen.findByText('Hello from the backend')).toBeInTheDocument();
+});
@@ -0,0 +1,11 @@
+from django.db import models
+
+
+class Item(models.Model):
+    """Sample model. After changing the models, create a migration with `manage.py makemigrations`."""
+
+    name = models.CharField(max_length=200)
+    created_at = models.DateTimeField(auto_now_add=True)
+
+    def __str__(self):
+        return self.name
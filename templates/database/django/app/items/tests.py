@@ -0,0 +1,9 @@
+from django.test import TestCase
+
+from .models import Item
+
+
+class ItemTests(TestCase):
+    def test_item_is_stored(self):
+        Item.objects.create(name="First item")
+        self.assertEqual(Item.objects.get().name, "First item")
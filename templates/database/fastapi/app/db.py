@@ -0,0 +1,19 @@
+from collections.abc import Iterator
+
+from sqlalchemy import create_engine
+from sqlalchemy.orm import DeclarativeBase, Session, sessionmaker
+
+from .config import get_settings
+
+engine = create_engine(get_settings().database_url)
+SessionLocal = sessionmaker(bind=engine)
+
+
+class Base(DeclarativeBase):
+    """Base class of the models."""
+
+
+def get_session() -> Iterator[Session]:
+    """FastAPI dependency yielding a session per request."""
+    with SessionLocal() as session:
+        yield session
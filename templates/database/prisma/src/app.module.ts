@@ -0,0 +1,11 @@
+import { Module } from '@nestjs/common';
+import { AppController } from './app.controller.js';
+import { AppService } from './app.service.js';
+import { PrismaService } from './prisma.service.js';
+
+@Module({
+  imports: [],
+  controllers: [AppController],
+  providers: [AppService, PrismaService],
+})
+export class AppModule {}
@@ -0,0 +1,16 @@
+from sqlalchemy import create_engine, select
+from sqlalchemy.orm import Session
+
+from app.db import Base
+from app.models import Item
+
+
+def test_item_is_stored():
+    engine = create_engine("sqlite://")
+    Base.metadata.create_all(engine)
+    with Session(engine) as session:
+        session.add(Item(name="First item"))
+        session.commit()
+        item = session.scalars(select(Item)).one()
+    assert item.name == "First item"
+    assert item.created_at is not None
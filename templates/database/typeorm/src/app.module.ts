@@ -0,0 +1,13 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+import { AppController } from './app.controller.js';
+import { AppService } from './app.service.js';
+import { dataSourceOptions } from './data-source.js';
+import { Item } from './items/item.entity.js';
+
+@Module({
+  imports: [TypeOrmModule.forRoot(dataSourceOptions), TypeOrmModule.forFeature([Item])],
+  controllers: [AppController],
+  providers: [AppService],
+})
+export class AppModule {}
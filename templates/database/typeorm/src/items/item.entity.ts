@@ -0,0 +1,15 @@
+import { Column, CreateDateColumn, Entity, PrimaryGeneratedColumn } from 'typeorm';
+
+// Sample entity. After changing the entities, build and create a migration with
+// `npx typeorm migration:generate -d dist/data-source.js src/migrations/<Name>`.
+@Entity('items')
+export class Item {
+  @PrimaryGeneratedColumn()
+  id!: number;
+
+  @Column({ type: 'varchar', length: 200 })
+  name!: string;
+
+  @CreateDateColumn()
+  createdAt!: Date;
+}
@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+const { createProgram } = require('../src/cli');
+
+createProgram().parseAsync(process.argv).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,18 @@
+const { Command } = require('commander');
+const { name, description, version } = require('../package.json');
+const commands = require('./commands');
+
+// The command-line interface with every subcommand in src/commands registered on it.
+function createProgram() {
+    const program = new Command();
+    program
+        .name(name)
+        .description(description)
+        .version(version);
+    for (const register of commands) {
+        register(program);
+    }
+    return program;
+}
+
+module.exports = { createProgram };
@@ -0,0 +1,17 @@
+function greeting(name, options = {}) {
+    const message = `Hello, ${name}!`;
+    return options.shout ? message.toUpperCase() : message;
+}
+
+module.exports = program => {
+    program
+        .command('greet')
+        .description('print a greeting')
+        .argument('[name]', 'who to greet', 'World')
+        .option('-s, --shout', 'greet in upper case')
+        .action((name, options) => {
+            console.log(greeting(name, options));
+        });
+};
+
+module.exports.greeting = greeting;
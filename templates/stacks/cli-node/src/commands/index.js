@@ -0,0 +1,4 @@
+// Each module registers one subcommand on the program. Add new commands to this list.
+module.exports = [
+    require('./greet')
+];
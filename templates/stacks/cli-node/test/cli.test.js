@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { greeting } = require('../src/commands/greet');
+
+const cli = path.join(__dirname, '..', 'bin', 'cli.js');
+
+function run(...args) {
+    return execFileSync(process.execPath, [cli, ...args], { encoding: 'utf-8' });
+}
+
+test('greeting', () => {
+    assert.strictEqual(greeting('Ada'), 'Hello, Ada!');
+    assert.strictEqual(greeting('Ada', { shout: true }), 'HELLO, ADA!');
+});
+
+test('greet command', () => {
+    assert.strictEqual(run('greet'), 'Hello, World!\n');
+    assert.strictEqual(run('greet', 'Ada', '--shout'), 'HELLO, ADA!\n');
+});
+
+test('--help lists the commands', () => {
+    assert.match(run('--help'), /greet/);
+});
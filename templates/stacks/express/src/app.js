@@ -0,0 +1,20 @@
+import cors from 'cors';
+import express from 'express';
+
+// The app without a listening server, so the tests can call it directly. The options default to
+// the environment, which src/server.js reads from .env.
+export function createApp({ appName = process.env.APP_NAME, corsOrigins = process.env.CORS_ORIGINS } = {}) {
+  const app = express();
+  app.use(cors({ origin: (corsOrigins ?? '').split(',').filter(Boolean) }));
+  app.use(express.json());
+
+  app.get('/', (req, res) => {
+    res.json({ message: `Hello from ${appName}!` });
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  return app;
+}
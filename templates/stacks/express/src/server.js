@@ -0,0 +1,12 @@
+import { existsSync } from 'node:fs';
+import { createApp } from './app.js';
+
+// Read APP_NAME, PORT and CORS_ORIGINS from .env when there is one.
+if (existsSync('.env')) {
+  process.loadEnvFile();
+}
+
+const port = Number(process.env.PORT ?? 3000);
+createApp().listen(port, () => {
+  console.log(`Listening on http://localhost:${port}`);
+});
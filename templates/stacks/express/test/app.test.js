@@ -0,0 +1,28 @@
+import assert from 'node:assert';
+import { once } from 'node:events';
+import { test } from 'node:test';
+import { createApp } from '../src/app.js';
+
+// Start the app on a free port for one test.
+async function withServer(run) {
+  const server = createApp({ appName: 'test' }).listen(0);
+  await once(server, 'listening');
+  try {
+    await run(`http://localhost:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+test('GET / greets', () => withServer(async (url) => {
+  const response = await fetch(`${url}/`);
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { message: 'Hello from test!' });
+}));
+
+test('GET /health', () => withServer(async (url) => {
+  const response = await fetch(`${url}/health`);
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { status: 'ok' });
+}));
@@ -0,0 +1,15 @@
+import cors from '@fastify/cors';
+import Fastify from 'fastify';
+
+// The app without a listening server, so the tests can inject requests. The options default to
+// the environment, which src/server.js reads from .env.
+export function buildApp({ appName = process.env.APP_NAME, corsOrigins = process.env.CORS_ORIGINS, logger = false } = {}) {
+  const app = Fastify({ logger });
+  app.register(cors, { origin: (corsOrigins ?? '').split(',').filter(Boolean) });
+
+  app.get('/', async () => ({ message: `Hello from ${appName}!` }));
+
+  app.get('/health', async () => ({ status: 'ok' }));
+
+  return app;
+}
@@ -0,0 +1,15 @@
+import { existsSync } from 'node:fs';
+import { buildApp } from './app.js';
+
+// Read APP_NAME, HOST, PORT and CORS_ORIGINS from .env when there is one.
+if (existsSync('.env')) {
+  process.loadEnvFile();
+}
+
+const app = buildApp({ logger: true });
+try {
+  await app.listen({ host: process.env.HOST ?? '0.0.0.0', port: Number(process.env.PORT ?? 3000) });
+} catch (error) {
+  app.log.error(error);
+  process.exit(1);
+}
@@ -0,0 +1,17 @@
+import assert from 'node:assert';
+import { test } from 'node:test';
+import { buildApp } from '../src/app.js';
+
+test('GET / greets', async () => {
+  const app = buildApp({ appName: 'test' });
+  const response = await app.inject({ method: 'GET', url: '/' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.deepStrictEqual(response.json(), { message: 'Hello from test!' });
+});
+
+test('GET /health', async () => {
+  const app = buildApp({ appName: 'test' });
+  const response = await app.inject({ method: 'GET', url: '/health' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.deepStrictEqual(response.json(), { status: 'ok' });
+});
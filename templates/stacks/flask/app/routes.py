@@ -0,0 +1,13 @@
+from flask import Blueprint, current_app, jsonify
+
+bp = Blueprint("main", __name__)
+
+
+@bp.get("/")
+def index():
+    return jsonify({"message": f"Hello from {current_app.config['APP_NAME']}!"})
+
+
+@bp.get("/health")
+def health():
+    return jsonify({"status": "ok"})
@@ -0,0 +1,10 @@
+def test_index(client):
+    response = client.get("/")
+    assert response.status_code == 200
+    assert "message" in response.get_json()
+
+
+def test_health(client):
+    response = client.get("/health")
+    assert response.status_code == 200
+    assert response.get_json() == {"status": "ok"}
@@ -0,0 +1,15 @@
+import { Hono } from 'hono';
+import { cors } from 'hono/cors';
+
+// The app without a listening server, so the tests can send it requests. The options default to
+// the environment, which src/server.js reads from .env.
+export function createApp({ appName = process.env.APP_NAME, corsOrigins = process.env.CORS_ORIGINS } = {}) {
+  const app = new Hono();
+  app.use('*', cors({ origin: (corsOrigins ?? '').split(',').filter(Boolean) }));
+
+  app.get('/', (c) => c.json({ message: `Hello from ${appName}!` }));
+
+  app.get('/health', (c) => c.json({ status: 'ok' }));
+
+  return app;
+}
@@ -0,0 +1,12 @@
+import { existsSync } from 'node:fs';
+import { serve } from '@hono/node-server';
+import { createApp } from './app.js';
+
+// Read APP_NAME, PORT and CORS_ORIGINS from .env when there is one.
+if (existsSync('.env')) {
+  process.loadEnvFile();
+}
+
+serve({ fetch: createApp().fetch, port: Number(process.env.PORT ?? 3000) }, (info) => {
+  console.log(`Listening on http://localhost:${info.port}`);
+});
@@ -0,0 +1,15 @@
+import assert from 'node:assert';
+import { test } from 'node:test';
+import { createApp } from '../src/app.js';
+
+test('GET / greets', async () => {
+  const response = await createApp({ appName: 'test' }).request('/');
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { message: 'Hello from test!' });
+});
+
+test('GET /health', async () => {
+  const response = await createApp({ appName: 'test' }).request('/health');
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { status: 'ok' });
+});
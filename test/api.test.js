@@ -0,0 +1,344 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { scaffold, add, upgrade } = require('..');
+const { contentHash } = require('../lib/project');
+const { tempDir, fakeExec, fakeHttp, httpError } = require('./helpers');
+
+const CLI_ANSWERS = { projectName: 'billing-tool', projectType: 'CLI Tool', cliLanguage: 'Node.js', packageManager: 'npm', createGit: false };
+const API_ANSWERS = { projectName: 'billing-api', projectType: 'API', apiFramework: 'Python (FastAPI)', pythonTool: 'uv', createGit: false };
+
+function run(cwd, exec, answers, options = {}) {
+    return scaffold({ cwd, answers, yes: true, config: {}, exec, ...options });
+}
+
+function readManifest(dir) {
+    return fs.readJsonSync(path.join(dir, '.smart-genesis.json'));
+}
+
+// A fake of the GitHub API for the user `octo`, who already has repositories named `taken`.
+function fakeGitHub(taken = []) {
+    const repository = name => ({ name, owner: { login: 'octo' }, clone_url: `https://github.com/octo/${name}.git`, html_url: `https://github.com/octo/${name}` });
+    return fakeHttp(config => {
+        if (config.method === 'post' && config.url === 'https://api.github.com/user/repos') {
+            if (taken.includes(config.data.name)) {
+                throw httpError(422, { message: 'Repository creation failed.', errors: [{ field: 'name', message: 'name already exists on this account' }] });
+            }
+            return repository(config.data.name);
+        }
+        if (config.method === 'get' && config.url === 'https://api.github.com/user') {
+            return { login: 'octo' };
+        }
+        const existing = /^https:\/\/api\.github\.com\/repos\/octo\/(.+)$/.exec(config.url);
+        if (config.method === 'get' && existing && taken.includes(existing[1])) {
+            return repository(existing[1]);
+        }
+        throw new Error(`Unexpected request: ${config.method} ${config.url}`);
+    });
+}
+
+// The commands that pushed a repository, as `{ remote, cwd }`.
+function pushes(commands) {
+    return commands
+        .filter(command => command.command.startsWith('git remote add origin '))
+        .map(command => ({ remote: command.command.slice('git remote add origin '.length), cwd: command.cwd }));
+}
+
+test('scaffold writes the project and runs its commands through exec', async t => {
+    const cwd = tempDir(t);
+    const { exec, commands } = fakeExec();
+    const result = await run(cwd, exec, CLI_ANSWERS);
+    const projectDir = path.join(cwd, 'billing-tool');
+
+    assert.equal(result.dryRun, false);
+    assert.deepEqual(result.commands, commands);
+    assert.deepEqual(commands, [{ command: 'npm install', cwd: projectDir }]);
+    for (const file of result.files) {
+        assert.ok(fs.existsSync(file), `${file} was written`);
+    }
+    assert.equal(fs.readJsonSync(path.join(projectDir, 'package.json')).name, 'billing-tool');
+    assert.match(fs.readFileSync(path.join(projectDir, 'README.md'), 'utf-8'), /npm install/);
+    assert.equal(readManifest(projectDir).answers.cliLanguage, 'Node.js');
+});
+
+test('scaffold creates the repository through http and pushes to it', async t => {
+    const cwd = tempDir(t);
+    const { exec, commands } = fakeExec();
+    const { http, requests } = fakeGitHub();
+    const answers = { ...CLI_ANSWERS, createGit: true, gitProvider: 'GitHub', license: 'None' };
+    const result = await run(cwd, exec, answers, { http, token: 'test-token' });
+    const projectDir = path.join(cwd, 'billing-tool');
+
+    assert.deepEqual(result.warnings, []);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].data.name, 'billing-tool');
+    assert.equal(requests[0].headers.Authorization, 'token test-token');
+    assert.deepEqual(result.repositories.map(repository => repository.cloneUrl), ['https://github.com/octo/billing-tool.git']);
+    assert.deepEqual(commands.slice(-6).map(command => command.command), [
+        'git init',
+        'git add .',
+        'git commit -m "Initial commit with scaffolded project"',
+        'git remote add origin https://github.com/octo/billing-tool.git',
+        'git branch -M main',
+        'git push -u origin main'
+    ]);
+    assert.ok(commands.slice(-6).every(command => command.cwd === projectDir));
+    assert.match(fs.readFileSync(path.join(projectDir, 'README.md'), 'utf-8'), /https:\/\/github\.com\/octo\/billing-tool\.git/);
+    assert.equal(readManifest(projectDir).repositories[0].url, 'https://github.com/octo/billing-tool');
+});
+
+test('scaffold reuses a repository whose name is taken with onRepoExists reuse', async t => {
+    const cwd = tempDir(t);
+    const { exec, commands } = fakeExec();
+    const { http, requests } = fakeGitHub(['billing-tool']);
+    const answers = { ...CLI_ANSWERS, createGit: true, gitProvider: 'GitHub', license: 'None' };
+    const result = await run(cwd, exec, answers, { http, token: 'test-token', onRepoExists: 'reuse' });
+
+    assert.deepEqual(requests.map(config => `${config.method} ${config.url}`), [
+        'post https://api.github.com/user/repos',
+        'get https://api.github.com/user',
+        'get https://api.github.com/repos/octo/billing-tool'
+    ]);
+    assert.deepEqual(pushes(commands), [{ remote: 'https://github.com/octo/billing-tool.git', cwd: path.join(cwd, 'billing-tool') }]);
+    assert.equal(result.repositories[0].url, 'https://github.com/octo/billing-tool');
+});
+
+test('scaffold keeps the project unpushed when a taken repository name is not to be reused', async t => {
+    const cwd = tempDir(t);
+    const { exec, commands } = fakeExec();
+    const { http, requests } = fakeGitHub(['billing-tool']);
+    const answers = { ...CLI_ANSWERS, createGit: true, gitProvider: 'GitHub', license: 'None' };
+    const result = await run(cwd, exec, answers, { http, token: 'test-token', onRepoExists: 'abort' });
+
+    assert.equal(requests.length, 1);
+    assert.equal(result.warnings.length, 1);
+    assert.match(result.warnings[0], /Repository "billing-tool" already exists on GitHub\. Re-run with --on-repo-exists reuse/);
+    assert.deepEqual(pushes(commands), []);
+    assert.deepEqual(result.repositories, []);
+    assert.ok(fs.existsSync(path.join(cwd, 'billing-tool', 'package.json')));
+});
+
+test('onRepoExists only accepts reuse and abort', async t => {
+    const cwd = tempDir(t);
+    await assert.rejects(
+        run(cwd, fakeExec().exec, { ...CLI_ANSWERS, createGit: true }, { token: 'test-token', onRepoExists: 'rename' }),
+        /Invalid --on-repo-exists "rename"\. Expected reuse or abort\./
+    );
+    assert.deepEqual(fs.readdirSync(cwd), []);
+});
+
+test('scaffold creates and pushes both repositories of a Separate Repos project', async t => {
+    const cwd = tempDir(t);
+    const { exec, commands } = fakeExec();
+    const { http, requests } = fakeGitHub();
+    const answers = {
+        projectName: 'shop',
+        projectType: 'Web App',
+        frontendFramework: 'Vite',
+        viteTemplate: 'react',
+        includeBackend: true,
+        backendFramework: 'Express',
+        repoStructure: 'Separate Repos',
+        packageManager: 'npm',
+        createGit: true,
+        gitProvider: 'GitHub',
+        license: 'None'
+    };
+    const result = await run(cwd, exec, answers, { http, token: 'test-token' });
+
+    assert.deepEqual(result.warnings, []);
+    assert.deepEqual(requests.map(config => config.data.name), ['shop-frontend', 'shop-backend']);
+    assert.deepEqual(pushes(commands), [
+        { remote: 'https://github.com/octo/shop-frontend.git', cwd: path.join(cwd, 'shop-frontend') },
+        { remote: 'https://github.com/octo/shop-backend.git', cwd: path.join(cwd, 'shop-backend') }
+    ]);
+    for (const dir of ['shop-frontend', 'shop-backend']) {
+        assert.ok(commands.some(command => command.command === 'git push -u origin main' && command.cwd === path.join(cwd, dir)));
+    }
+    assert.deepEqual(readManifest(path.join(cwd, 'shop-backend')).repositories.map(repository => repository.name), ['shop-frontend', 'shop-backend']);
+});
+
+test('scaffold rolls back what it created when a command fails', async t => {
+    const cwd = tempDir(t);
+    const { exec } = fakeExec(command => {
+        if (command === 'npm install') {
+            throw Object.assign(new Error('npm install failed'), { status: 1 });
+        }
+    });
+    const projectDir = path.join(cwd, 'billing-tool');
+
+    await assert.rejects(run(cwd, exec, CLI_ANSWERS), error => {
+        assert.equal(error.name, 'StepError');
+        assert.equal(error.exitCode, 1);
+        assert.deepEqual(error.removed.filter(removed => !removed.startsWith(`${projectDir}${path.sep}`)), [projectDir]);
+        return true;
+    });
+    assert.deepEqual(fs.readdirSync(cwd), []);
+});
+
+test('scaffold keeps the partial project with keepOnFailure', async t => {
+    const cwd = tempDir(t);
+    const { exec } = fakeExec(() => {
+        throw Object.assign(new Error('npm install failed'), { status: 1 });
+    });
+    const projectDir = path.join(cwd, 'billing-tool');
+
+    await assert.rejects(run(cwd, exec, CLI_ANSWERS, { keepOnFailure: true }), error => {
+        assert.ok(error.kept.includes(projectDir));
+        assert.equal(error.removed, undefined);
+        return true;
+    });
+    assert.ok(fs.existsSync(path.join(projectDir, 'package.json')));
+});
+
+test('scaffold restores a directory it was to overwrite when the run fails', async t => {
+    const cwd = tempDir(t);
+    const { exec } = fakeExec(() => {
+        throw Object.assign(new Error('npm install failed'), { status: 1 });
+    });
+    const projectDir = path.join(cwd, 'billing-tool');
+    fs.outputFileSync(path.join(projectDir, 'notes.txt'), 'keep me');
+
+    await assert.rejects(run(cwd, exec, CLI_ANSWERS, { onDirExists: 'overwrite' }), /Step "npm install" failed/);
+    assert.deepEqual(fs.readdirSync(cwd), ['billing-tool']);
+    assert.deepEqual(fs.readdirSync(projectDir), ['notes.txt']);
+    assert.equal(fs.readFileSync(path.join(projectDir, 'notes.txt'), 'utf-8'), 'keep me');
+});
+
+test('scaffold keeps the moved directory aside with keepOnFailure and deletes it on success', async t => {
+    const cwd = tempDir(t);
+    const failing = fakeExec(() => {
+        throw Object.assign(new Error('npm install failed'), { status: 1 });
+    });
+    const projectDir = path.join(cwd, 'billing-tool');
+    fs.outputFileSync(path.join(projectDir, 'notes.txt'), 'keep me');
+
+    await assert.rejects(run(cwd, failing.exec, CLI_ANSWERS, { onDirExists: 'overwrite', keepOnFailure: true }), error => {
+        assert.equal(error.backups.length, 1);
+        assert.equal(error.backups[0].path, projectDir);
+        assert.equal(fs.readFileSync(path.join(error.backups[0].backup, 'notes.txt'), 'utf-8'), 'keep me');
+        return true;
+    });
+
+    fs.removeSync(projectDir);
+    fs.outputFileSync(path.join(projectDir, 'notes.txt'), 'replace me');
+    const before = fs.readdirSync(cwd);
+    const result = await run(cwd, fakeExec().exec, CLI_ANSWERS, { onDirExists: 'overwrite' });
+    assert.deepEqual(result.removed, [projectDir]);
+    assert.deepEqual(fs.readdirSync(cwd), before);
+    assert.ok(!fs.existsSync(path.join(projectDir, 'notes.txt')));
+});
+
+test('a failure after the repositories were created names them', async t => {
+    const cwd = tempDir(t);
+    const templates = tempDir(t);
+    fs.outputJsonSync(path.join(templates, 'template.json'), { name: 'team', files: [{ src: 'notes.md.hbs', dest: '../notes.md' }] });
+    fs.outputFileSync(path.join(templates, 'notes.md.hbs'), '# {{projectName}}\n');
+    const { http } = fakeGitHub();
+    const answers = { ...CLI_ANSWERS, createGit: true, gitProvider: 'GitHub', license: 'None' };
+
+    await assert.rejects(run(cwd, fakeExec().exec, answers, { http, token: 'test-token', templateDirs: [templates] }), error => {
+        assert.match(error.message, /outside the project/);
+        assert.deepEqual(error.repositories, ['https://github.com/octo/billing-tool']);
+        return true;
+    });
+    assert.deepEqual(fs.readdirSync(cwd), []);
+});
+
+test('add writes a feature into the project and records it', async t => {
+    const cwd = tempDir(t);
+    const { exec, commands } = fakeExec();
+    await run(cwd, exec, API_ANSWERS);
+    const projectDir = path.join(cwd, 'billing-api');
+    commands.length = 0;
+
+    const result = await add('database', { cwd: projectDir, answers: { database: 'SQLite' }, config: {}, exec });
+
+    assert.deepEqual(result.commands, [{ command: 'uv sync', cwd: projectDir }]);
+    assert.deepEqual(commands, result.commands);
+    assert.ok(fs.existsSync(path.join(projectDir, 'alembic.ini')));
+    assert.match(fs.readFileSync(path.join(projectDir, 'pyproject.toml'), 'utf-8'), /SQLAlchemy/);
+    const manifest = readManifest(projectDir);
+    assert.equal(manifest.answers.database, 'SQLite');
+    assert.ok(manifest.files['alembic.ini']);
+});
+
+test('add installs the ORM packages of a Node backend', async t => {
+    const cwd = tempDir(t);
+    const { exec, commands } = fakeExec((command, dir) => {
+        if (command.includes('@nestjs/cli new')) {
+            fs.outputJsonSync(path.join(dir, 'package.json'), { name: 'billing-api', scripts: {} });
+        }
+    });
+    await run(cwd, exec, { projectName: 'billing-api', projectType: 'API', apiFramework: 'Nest.js', packageManager: 'pnpm', createGit: false });
+    const projectDir = path.join(cwd, 'billing-api');
+    commands.length = 0;
+
+    const result = await add('database', { cwd: projectDir, answers: { database: 'SQLite', orm: 'Prisma' }, config: {}, exec });
+
+    assert.deepEqual(result.commands, [{ command: 'pnpm install', cwd: projectDir }]);
+    assert.equal(fs.readJsonSync(path.join(projectDir, 'package.json')).dependencies.prisma, '^6.19.3');
+});
+
+test('add refuses to overwrite files changed since they were generated, unless forced', async t => {
+    const cwd = tempDir(t);
+    const { exec } = fakeExec();
+    await run(cwd, exec, API_ANSWERS);
+    const projectDir = path.join(cwd, 'billing-api');
+    const pyproject = path.join(projectDir, 'pyproject.toml');
+    fs.appendFileSync(pyproject, '\n# edited\n');
+
+    await assert.rejects(
+        add('database', { cwd: projectDir, answers: { database: 'SQLite' }, config: {}, exec }),
+        /These files were changed since they were generated:\n {2}pyproject\.toml/
+    );
+    assert.match(fs.readFileSync(pyproject, 'utf-8'), /# edited/);
+    assert.ok(!fs.existsSync(path.join(projectDir, 'alembic.ini')));
+
+    await add('database', { cwd: projectDir, answers: { database: 'SQLite' }, config: {}, exec, force: true });
+    assert.doesNotMatch(fs.readFileSync(pyproject, 'utf-8'), /# edited/);
+    assert.ok(fs.existsSync(path.join(projectDir, 'alembic.ini')));
+});
+
+// A team template set with a NOTES.md overlay for CLI tools.
+function writeTemplateSet(dir, version, notes) {
+    fs.outputJsonSync(path.join(dir, 'template.json'), { name: 'team-notes', version, types: ['cli-tool'], files: [{ src: 'NOTES.md.hbs', dest: 'NOTES.md' }] });
+    fs.outputFileSync(path.join(dir, 'NOTES.md.hbs'), notes);
+}
+
+test('upgrade merges template changes into a file the user edited', async t => {
+    const cwd = tempDir(t);
+    const templates = tempDir(t);
+    const { exec } = fakeExec();
+    writeTemplateSet(templates, '1.0.0', '# {{projectName}}\n\nSetup\n\nUsage\n\nSupport\n');
+    await run(cwd, exec, CLI_ANSWERS, { templateDirs: [templates] });
+    const projectDir = path.join(cwd, 'billing-tool');
+    const notes = path.join(projectDir, 'NOTES.md');
+    fs.writeFileSync(notes, '# billing-tool\n\nSetup\n\nUsage\n\nSupport: ask in #billing\n');
+
+    writeTemplateSet(templates, '1.1.0', '# {{projectName}}\n\nSetup with npm\n\nUsage\n\nSupport\n');
+    const result = await upgrade({ cwd: projectDir, templateDirs: [templates], config: {}, exec });
+
+    assert.deepEqual(result.files, [notes, path.join(projectDir, '.smart-genesis.json')]);
+    assert.equal(fs.readFileSync(notes, 'utf-8'), '# billing-tool\n\nSetup with npm\n\nUsage\n\nSupport: ask in #billing\n');
+    assert.equal(readManifest(projectDir).overlays['NOTES.md'].version, '1.1.0');
+});
+
+test('upgrade leaves conflict markers where the user and the template changed the same lines', async t => {
+    const cwd = tempDir(t);
+    const templates = tempDir(t);
+    const { exec } = fakeExec();
+    writeTemplateSet(templates, '1.0.0', '# {{projectName}}\n\nSupport\n');
+    await run(cwd, exec, CLI_ANSWERS, { templateDirs: [templates] });
+    const projectDir = path.join(cwd, 'billing-tool');
+    const notes = path.join(projectDir, 'NOTES.md');
+    fs.writeFileSync(notes, '# billing-tool\n\nSupport: ask in #billing\n');
+
+    writeTemplateSet(templates, '1.1.0', '# {{projectName}}\n\nSupport: open an issue\n');
+    await upgrade({ cwd: projectDir, templateDirs: [templates], config: {}, exec });
+
+    const content = fs.readFileSync(notes, 'utf-8');
+    assert.match(content, /<<<<<<< yours\nSupport: ask in #billing\n=======\nSupport: open an issue\n>>>>>>> template team-notes 1\.1\.0/);
+    assert.notEqual(readManifest(projectDir).files['NOTES.md'], contentHash(content), 'a conflicted file still counts as changed by the user');
+});
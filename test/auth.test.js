@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs-extra');
+const { createExecutor } = require('../lib/executor');
+const { repoOptions } = require('../lib/providers');
+const { authSettings, credentialsPath, getAccessToken } = require('../lib/auth');
+const { fakeHttp } = require('./helpers');
+
+const GITHUB = repoOptions({ gitProvider: 'GitHub' });
+const OAUTH_SERVER = 'https://oauth.example.com';
+
+// Tokens from the environment would short-circuit every login.
+for (const name of ['GITHUB_TOKEN', 'GH_TOKEN', 'GITHUB_CLIENT_ID']) {
+    delete process.env[name];
+}
+
+// Run `login` with mocked timers, firing every pending timer until it settles. Date.now() follows
+// the mocked clock.
+async function withClock(t, login) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    let outcome = null;
+    login().then(value => (outcome = { value }), error => (outcome = { error }));
+    while (!outcome) {
+        await new Promise(resolve => setImmediate(resolve));
+        t.mock.timers.runAll();
+    }
+    if (outcome.error) {
+        throw outcome.error;
+    }
+    return outcome.value;
+}
+
+function login(respond, { flags = {}, config = {}, opened = [] } = {}) {
+    const { http, requests } = fakeHttp(respond);
+    const executor = createExecutor({ http, silent: true, openUrl: async url => opened.push(url) });
+    const settings = authSettings({ oauthServer: OAUTH_SERVER, tokenCache: false, ...flags }, config, GITHUB);
+    return { requests, token: () => getAccessToken(settings, executor) };
+}
+
+test('the OAuth server flow only receives the token of the state it opened the consent screen with', async t => {
+    const tokens = new Map();
+    const opened = [];
+    const respond = config => ({ token: tokens.get(config.params.state) });
+    const first = login(respond, { opened });
+    const second = login(respond, { opened });
+
+    const result = withClock(t, () => Promise.all([first.token(), second.token()]));
+    await new Promise(resolve => setImmediate(resolve));
+    const states = opened.map(url => new URL(url).searchParams.get('state'));
+    assert.equal(states.length, 2);
+    assert.notEqual(states[0], states[1]);
+    assert.match(states[0], /^[0-9a-f]{64}$/);
+    tokens.set(states[0], 'first-token');
+    tokens.set(states[1], 'second-token');
+
+    assert.deepEqual(await result, ['first-token', 'second-token']);
+    assert.equal(first.requests[0].url, `${OAUTH_SERVER}/token`);
+});
+
+test('the OAuth server flow rejects the login when no token comes for its state', async t => {
+    const { requests, token } = login(config => ({ token: config.params.state === 'another-session' ? 'stolen' : undefined }));
+
+    await assert.rejects(withClock(t, token), /Timed out waiting for access token/);
+    assert.equal(requests.length, 20);
+});
+
+// GitHub's device flow endpoints: `answers` are the successive poll results.
+function deviceServer(answers, expiresIn = 900) {
+    return config => {
+        if (config.url.endsWith('/login/device/code')) {
+            return { device_code: 'dev', user_code: 'ABCD-1234', verification_uri: 'https://github.com/login/device', interval: 5, expires_in: expiresIn };
+        }
+        return answers.shift() || { error: 'authorization_pending' };
+    };
+}
+
+test('the device flow keeps polling while authorization is pending and slows down when asked', async t => {
+    const times = [];
+    const server = deviceServer([{ error: 'authorization_pending' }, { error: 'slow_down' }, { error: 'authorization_pending' }, { access_token: 'device-token' }]);
+    const { requests, token } = login(config => {
+        times.push(Date.now());
+        return server(config);
+    }, { flags: { auth: 'device' }, config: { githubClientId: 'client' } });
+
+    assert.equal(await withClock(t, token), 'device-token');
+    assert.deepEqual(requests.slice(1).map(config => config.data.grant_type), Array(4).fill('urn:ietf:params:oauth:grant-type:device_code'));
+    // Polls 5 s apart, 10 s once GitHub asked to slow down.
+    assert.deepEqual(times.slice(1).map((time, index) => time - times[index]), [5000, 5000, 10000, 10000]);
+});
+
+test('the device flow gives up once the code expires', async t => {
+    const { token } = login(deviceServer([], 30), { flags: { auth: 'device' }, config: { githubClientId: 'client' } });
+
+    await assert.rejects(withClock(t, token), /Timed out waiting for device authorization/);
+});
+
+test('the device flow stops when GitHub denies the authorization', async t => {
+    const { token } = login(deviceServer([{ error: 'access_denied' }]), { flags: { auth: 'device' }, config: { githubClientId: 'client' } });
+
+    await assert.rejects(withClock(t, token), /GitHub device authorization failed: access_denied/);
+});
+
+test('the token is cached in a file only the user can read', { skip: process.platform === 'win32' }, async t => {
+    t.after(() => fs.removeSync(credentialsPath()));
+    const { token } = login(deviceServer([{ access_token: 'cached-token' }]), { flags: { auth: 'device', tokenCache: true }, config: { githubClientId: 'client' } });
+
+    assert.equal(await withClock(t, token), 'cached-token');
+    assert.equal(fs.statSync(credentialsPath()).mode & 0o777, 0o600);
+    assert.equal(fs.readJsonSync(credentialsPath())[GITHUB.apiUrl].token, 'cached-token');
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const YAML = require('yaml');
+const { ciFiles } = require('../lib/ci');
+
+const MONOREPO = {
+    projectName: 'shop',
+    projectType: 'Web App',
+    frontendFramework: 'Vite',
+    includeBackend: true,
+    backendFramework: 'Express',
+    repoStructure: 'Monorepo',
+    packageManager: 'pnpm',
+    ci: 'GitHub Actions'
+};
+
+function pnpmSetup(answers) {
+    const [workflow] = ciFiles(answers, '/work');
+    const [job] = Object.values(YAML.parse(workflow.content).jobs);
+    return job.steps.find(step => step.uses === 'pnpm/action-setup@v4');
+}
+
+test('pnpm jobs pin the pnpm version when the root package.json does not name one', () => {
+    assert.deepEqual(pnpmSetup({ ...MONOREPO, turborepo: false }), { uses: 'pnpm/action-setup@v4', with: { version: 10 } });
+});
+
+test('pnpm jobs leave the version to the packageManager field of a Turborepo workspace', () => {
+    assert.deepEqual(pnpmSetup({ ...MONOREPO, turborepo: true }), { uses: 'pnpm/action-setup@v4' });
+});
+
+test('Python jobs install the development requirements the tests need', () => {
+    const answers = { projectName: 'billing', projectType: 'API', apiFramework: 'Python (Flask)', pythonTool: 'venv + pip', ci: 'GitHub Actions' };
+    const [workflow] = ciFiles(answers, '/work');
+    const { steps } = YAML.parse(workflow.content).jobs.backend;
+    assert.ok(steps.some(step => step.run === '.venv/bin/python -m pip install -r requirements-dev.txt'));
+    assert.ok(steps.some(step => step.run === '.venv/bin/python -m pytest'));
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const path = require('path');
+const YAML = require('yaml');
+const { dockerFiles } = require('../lib/docker');
+
+const NEST_API = {
+    projectName: 'billing',
+    projectType: 'API',
+    apiFramework: 'Nest.js',
+    database: 'PostgreSQL',
+    containerize: true
+};
+
+function dockerfile(answers) {
+    return dockerFiles(answers, '/work').find(file => path.basename(file.path) === 'Dockerfile').content;
+}
+
+test('the Nest.js image copies the Prisma schema before the install and into the runner', () => {
+    const lines = dockerfile({ ...NEST_API, orm: 'Prisma' }).split('\n');
+    const schema = lines.indexOf('COPY prisma ./prisma');
+    assert.ok(schema !== -1 && schema < lines.findIndex(line => line.startsWith('RUN') && line.includes('install')));
+    assert.ok(lines.includes('COPY --from=builder --chown=node:node /app/prisma ./prisma'));
+});
+
+test('the Nest.js image has no Prisma steps with TypeORM', () => {
+    assert.ok(!dockerfile({ ...NEST_API, orm: 'TypeORM' }).includes('prisma'));
+});
+
+test('Node images install, build and prune with the chosen package manager', () => {
+    const content = dockerfile({ ...NEST_API, orm: 'TypeORM', packageManager: 'pnpm' });
+    assert.ok(content.includes('RUN corepack enable\nCOPY package.json pnpm-lock.yaml* ./\n'));
+    assert.ok(content.includes('RUN if [ -f pnpm-lock.yaml ]; then pnpm install --frozen-lockfile; else pnpm install; fi\n'));
+    assert.ok(content.includes('RUN pnpm run build && pnpm prune --prod\n'));
+    assert.ok(!/\bnpm (ci|install|run|prune)\b/.test(content));
+});
+
+test('a Django backend behind a proxying frontend accepts requests for the backend host', () => {
+    const answers = {
+        projectName: 'shop',
+        projectType: 'Web App',
+        frontendFramework: 'Next.js',
+        includeBackend: true,
+        backendFramework: 'Python (Django)',
+        repoStructure: 'Monorepo',
+        containerize: true
+    };
+    const compose = dockerFiles(answers, '/work').find(file => path.basename(file.path) === 'docker-compose.yml');
+    const { frontend, backend } = YAML.parse(compose.content).services;
+
+    assert.equal(frontend.build.args.API_URL, 'http://backend:8000');
+    assert.equal(backend.environment.DEBUG, '0');
+    assert.equal(backend.environment.SECRET_KEY, '${SECRET_KEY:-change-me}');
+    assert.deepEqual(backend.environment.ALLOWED_HOSTS.split(','), ['backend', 'localhost', '127.0.0.1']);
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { doctor } = require('..');
+const { requiredTools, checkTools, toolProblems, existingTargets } = require('../lib/doctor');
+const { createExecutor } = require('../lib/executor');
+const { tempDir } = require('./helpers');
+
+// A stand-in for `exec` on a machine with the tools in `versions`, e.g. `{ node: 'v20.11.0' }`:
+// version commands of the other tools fail as if they were not installed.
+function toolsExec(versions) {
+    const checked = [];
+    const exec = command => {
+        checked.push(command);
+        const tool = command.split(' ')[0];
+        if (!(tool in versions)) {
+            throw Object.assign(new Error(`${tool}: command not found`), { status: 127 });
+        }
+        return `${versions[tool]}\n`;
+    };
+    return { exec, checked };
+}
+
+function check(answers, versions) {
+    return checkTools(requiredTools(answers), createExecutor({ exec: toolsExec(versions).exec, silent: true }));
+}
+
+const NEST_API = { projectType: 'API', apiFramework: 'Nest.js', packageManager: 'npm' };
+
+test('stacks raise the minimum versions of the tools they need', () => {
+    const minimum = (answers, name) => requiredTools(answers).find(tool => tool.name === name).minimum;
+
+    assert.equal(minimum({ projectType: 'CLI Tool', cliLanguage: 'Node.js' }, 'node'), '18.0.0');
+    assert.equal(minimum(NEST_API, 'node'), '20.12.0');
+    assert.equal(minimum({ projectType: 'API', apiFramework: 'Express' }, 'node'), '20.12.0');
+    assert.equal(minimum({ projectType: 'Web App', frontendFramework: 'Vite', includeBackend: true, backendFramework: 'Express', repoStructure: 'Monorepo' }, 'node'), '20.19.0');
+    assert.equal(minimum({ projectType: 'API', apiFramework: 'Python (Flask)', pythonTool: 'poetry' }, 'poetry'), '2.0.0');
+    assert.deepEqual(requiredTools({ ...NEST_API, createGit: true }).map(tool => tool.name), ['node', 'npm', 'npx', 'git']);
+});
+
+// Installed versions against what a Nest.js API needs, and the status each tool gets.
+const NEST_CHECKS = [
+    [{ node: 'v20.12.0', npm: '10.5.0', npx: '10.5.0' }, { node: 'ok', npm: 'ok', npx: 'ok' }],
+    [{ node: 'v20.11.1', npm: '10.2.4', npx: '10.2.4' }, { node: 'outdated', npm: 'ok', npx: 'ok' }],
+    [{ node: 'v18.20.4', npx: '10.7.0' }, { node: 'outdated', npm: 'missing', npx: 'ok' }],
+    [{}, { node: 'missing', npm: 'missing', npx: 'missing' }]
+];
+
+test('checkTools reports each tool as ok, outdated or missing', () => {
+    for (const [versions, statuses] of NEST_CHECKS) {
+        const results = check(NEST_API, versions);
+        assert.deepEqual(Object.fromEntries(results.map(result => [result.name, result.status])), statuses, JSON.stringify(versions));
+        for (const result of results) {
+            assert.equal(result.version, versions[result.name] ? versions[result.name].replace(/^v/, '') : null);
+        }
+    }
+});
+
+test('toolProblems explains how to fix a tool that is too old or missing', () => {
+    assert.deepEqual(toolProblems(check(NEST_API, { node: 'v20.11.1', npx: '10.2.4' })), [
+        'node 20.11.1 is older than 20.12.0, which Nest.js needs. Install Node.js from https://nodejs.org.',
+        'npm is not installed or does not run, but Nest.js needs it. npm is installed with Node.js.'
+    ]);
+    const monorepo = { projectType: 'Web App', frontendFramework: 'Vite', includeBackend: true, backendFramework: 'Express', repoStructure: 'Monorepo', packageManager: 'pnpm' };
+    assert.deepEqual(toolProblems(check(monorepo, { node: 'v22.11.0' })), [
+        'pnpm is not installed or does not run, but Vite, Express and the monorepo workspace need it. Run `corepack enable pnpm` or `npm install -g pnpm`.'
+    ]);
+    assert.deepEqual(toolProblems(check(NEST_API, { node: 'v22.11.0', npm: '10.9.0', npx: '10.9.0' })), []);
+});
+
+test('tools checked only for running at all have no version', () => {
+    const [python, venv] = check({ projectType: 'CLI Tool', cliLanguage: 'Python', pythonTool: 'venv + pip' }, { python: 'Python 3.8.10', python3: 'Python 3.8.10' });
+
+    assert.equal(python.status, 'outdated');
+    assert.equal(python.version, '3.8.10');
+    assert.equal(venv.name, 'venv');
+    assert.equal(venv.version, null);
+    assert.equal(venv.minimum, null);
+});
+
+test('existingTargets lists the target directories that are taken', t => {
+    const cwd = tempDir(t);
+    const cli = { projectName: 'billing', projectType: 'CLI Tool', cliLanguage: 'Node.js' };
+    const separate = { projectName: 'shop', projectType: 'Web App', frontendFramework: 'Vite', includeBackend: true, backendFramework: 'Express', repoStructure: 'Separate Repos' };
+
+    assert.deepEqual(existingTargets(cli, cwd), []);
+    fs.ensureDirSync(path.join(cwd, 'billing'));
+    assert.deepEqual(existingTargets(cli, cwd), [], 'an empty directory can be scaffolded into');
+    fs.outputFileSync(path.join(cwd, 'billing', 'notes.txt'), 'keep me');
+    assert.deepEqual(existingTargets(cli, cwd), [path.join(cwd, 'billing')]);
+
+    fs.outputFileSync(path.join(cwd, 'shop-backend'), 'not a directory');
+    assert.deepEqual(existingTargets(separate, cwd), [path.join(cwd, 'shop-backend')]);
+});
+
+test('doctor checks the tools and answers without scaffolding anything', async t => {
+    const cwd = tempDir(t);
+    fs.outputFileSync(path.join(cwd, 'billing-api', 'notes.txt'), 'keep me');
+    const { exec, checked } = toolsExec({ node: 'v20.11.1', npm: '10.2.4', npx: '10.2.4' });
+    const answers = { projectName: 'billing-api', projectType: 'API', apiFramework: 'nestjs', packageManager: 'npm', pythonTool: 'uv' };
+
+    const result = await doctor({ cwd, answers, config: {}, exec });
+
+    assert.deepEqual(checked, ['node --version', 'npm --version', 'npx --version', 'git --version']);
+    assert.deepEqual(result.tools.map(tool => [tool.name, tool.status]), [['node', 'outdated'], ['npm', 'ok'], ['npx', 'ok'], ['git', 'missing']]);
+    assert.deepEqual(result.problems, [
+        'node 20.11.1 is older than 20.12.0, which Nest.js needs. Install Node.js from https://nodejs.org.',
+        'git is not installed or does not run, but repository creation needs it. Install Git from https://git-scm.com.',
+        'pythonTool only applies to Python stacks (Django, Flask, FastAPI or a Python CLI).'
+    ]);
+    assert.deepEqual(result.existing, [path.join(cwd, 'billing-api')]);
+    assert.deepEqual(fs.readdirSync(cwd), ['billing-api']);
+    assert.deepEqual(fs.readdirSync(path.join(cwd, 'billing-api')), ['notes.txt']);
+});
+
+test('doctor rejects answers it cannot read', async t => {
+    await assert.rejects(doctor({ cwd: tempDir(t), answers: { projectType: 'Desktop' }, config: {}, exec: toolsExec({}).exec }), /Invalid projectType "Desktop"/);
+});
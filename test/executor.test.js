@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { createExecutor } = require('../lib/executor');
+const { tempDir } = require('./helpers');
+
+test('rollback removes what the executor created and restores the files it overwrote', t => {
+    const cwd = tempDir(t);
+    const existing = path.join(cwd, 'notes.txt');
+    fs.writeFileSync(existing, 'keep me');
+    const executor = createExecutor({ quiet: true });
+
+    executor.ensureDir(path.join(cwd, 'app', 'src'));
+    executor.writeFile(path.join(cwd, 'app', 'src', 'index.js'), 'console.log(1);\n');
+    executor.writeFile(existing, 'overwritten');
+
+    assert.deepEqual(executor.createdPaths(), [path.join(cwd, 'app'), path.join(cwd, 'app', 'src', 'index.js')]);
+    assert.deepEqual(executor.rollback(), [path.join(cwd, 'app', 'src', 'index.js'), path.join(cwd, 'app')]);
+    assert.deepEqual(fs.readdirSync(cwd), ['notes.txt']);
+    assert.equal(fs.readFileSync(existing, 'utf-8'), 'keep me');
+    assert.deepEqual(executor.rollback(), [], 'a second rollback has nothing left to undo');
+});
+
+test('a failing command raises a StepError with the command, its directory and exit code', t => {
+    const cwd = tempDir(t);
+    const executor = createExecutor({ quiet: true });
+    const command = `"${process.execPath}" -e "process.exit(3)"`;
+
+    assert.throws(() => executor.run(command, cwd), error => {
+        assert.equal(error.name, 'StepError');
+        assert.equal(error.exitCode, 3);
+        assert.equal(error.message, `Step "${command}" failed in ${cwd} with exit code 3.`);
+        return true;
+    });
+});
+
+test('a dry run creates nothing and has nothing to roll back', t => {
+    const cwd = tempDir(t);
+    const executor = createExecutor({ dryRun: true, quiet: true });
+
+    executor.ensureDir(path.join(cwd, 'app'));
+    executor.writeFile(path.join(cwd, 'app', 'index.js'), '');
+
+    assert.deepEqual(fs.readdirSync(cwd), []);
+    assert.deepEqual(executor.createdPaths(), []);
+    assert.deepEqual(executor.rollback(), []);
+});
+
+test('a removed directory is moved aside until the run succeeds and restored by a rollback', t => {
+    const cwd = tempDir(t);
+    const target = path.join(cwd, 'app');
+    fs.outputFileSync(path.join(target, 'notes.txt'), 'keep me');
+    const executor = createExecutor({ quiet: true });
+
+    executor.remove(target);
+    executor.ensureDir(target);
+    executor.writeFile(path.join(target, 'index.js'), '');
+
+    const [backup] = executor.backups();
+    assert.equal(backup.path, target);
+    assert.equal(fs.readFileSync(path.join(backup.backup, 'notes.txt'), 'utf-8'), 'keep me');
+    executor.rollback();
+    assert.deepEqual(fs.readdirSync(cwd), ['app']);
+    assert.deepEqual(fs.readdirSync(target), ['notes.txt']);
+});
+
+test('discardBackups deletes what was moved aside', t => {
+    const cwd = tempDir(t);
+    const target = path.join(cwd, 'app');
+    fs.outputFileSync(path.join(target, 'notes.txt'), 'replace me');
+    const executor = createExecutor({ quiet: true });
+
+    executor.remove(target);
+    executor.ensureDir(target);
+    executor.writeFile(path.join(target, 'index.js'), '');
+    executor.discardBackups();
+
+    assert.deepEqual(executor.backups(), []);
+    assert.deepEqual(fs.readdirSync(cwd), ['app']);
+    assert.deepEqual(fs.readdirSync(target), ['index.js']);
+});
@@ -0,0 +1,75 @@
+const assert = require('assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { printPlan } = require('../lib/executor');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+
+// Keep the config and templates in the user's ~/.smart-genesis out of the tests.
+process.env.SMART_GENESIS_HOME = path.join(os.tmpdir(), `smart-genesis-test-home-${process.pid}`);
+
+// An empty directory that is removed once the test is done.
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-genesis-test-'));
+    t.after(() => fs.removeSync(dir));
+    return dir;
+}
+
+// A stand-in for the executor's `exec`: tool checks see every tool installed in a recent version,
+// and the commands a run executes are recorded as `{ command, cwd }` instead of being run.
+// `onRun(command, cwd)` can act like the command, e.g. write the files a generator would, or
+// throw to make it fail.
+function fakeExec(onRun = () => {}) {
+    const commands = [];
+    const exec = (command, { cwd, capture } = {}) => {
+        if (capture) {
+            return '99.0.0\n';
+        }
+        commands.push({ command, cwd });
+        return onRun(command, cwd);
+    };
+    return { exec, commands };
+}
+
+// A stand-in for the executor's `http`: `respond(config)` returns the response body, or throws an
+// `httpError` to fail the request the way axios does. The requests are recorded in `requests`.
+function fakeHttp(respond) {
+    const requests = [];
+    const http = async config => {
+        requests.push(config);
+        return { status: 200, data: await respond(config) };
+    };
+    return { http, requests };
+}
+
+function httpError(status, data = {}) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+}
+
+// The plan of `steps` as `smart-genesis --dry-run` prints it, with paths relative to `baseDir`.
+function planText(steps, baseDir) {
+    const lines = [];
+    const log = console.log;
+    console.log = (...args) => lines.push(args.join(' '));
+    try {
+        printPlan(steps, { baseDir });
+    } finally {
+        console.log = log;
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// Compare `text` with the snapshot `name` in test/snapshots. A missing snapshot is written, unless
+// CI is set; UPDATE_SNAPSHOTS=1 rewrites them all after an intended change.
+function matchSnapshot(name, text) {
+    const file = path.join(SNAPSHOT_DIR, `${name}.txt`);
+    if (process.env.UPDATE_SNAPSHOTS || (!fs.existsSync(file) && !process.env.CI)) {
+        fs.outputFileSync(file, text);
+        return;
+    }
+    assert.ok(fs.existsSync(file), `Snapshot ${name} is missing. Run the tests without CI to write it.`);
+    assert.equal(text, fs.readFileSync(file, 'utf-8'), `Plan differs from snapshot ${name}. Run with UPDATE_SNAPSHOTS=1 if the change is intended.`);
+}
+
+module.exports = { tempDir, fakeExec, fakeHttp, httpError, planText, matchSnapshot };
@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const { projectQuestions, gitQuestions, parseArgs, normalizeAnswers, validateAnswers, applyDefaults } = require('../lib/options');
+const { tempDir } = require('./helpers');
+
+// The projectName question asked again once the frameworks are known.
+function renameQuestion() {
+    return projectQuestions().filter(question => question.name === 'projectName')[1];
+}
+
+test('a project name the selected stacks reject is asked for again with a suggestion', () => {
+    const question = renameQuestion();
+    const answers = { projectName: 'MyApp', projectType: 'CLI Tool', cliLanguage: 'Node.js' };
+
+    assert.equal(question.when(answers), true);
+    assert.match(question.message(answers), /^projectName "MyApp" cannot be used: npm package names must be lowercase\. Try "my-app"\. Enter another name:$/);
+    assert.equal(question.default(answers), 'my-app');
+    assert.match(question.validate('Json'), /npm package names must be lowercase/);
+    assert.equal(question.validate('my-app'), true);
+});
+
+test('the project name is only asked for again when a rule of the selected stacks breaks', () => {
+    const question = renameQuestion();
+
+    assert.equal(question.when({ projectName: 'MyApp', projectType: 'CLI Tool', cliLanguage: 'Bash' }), false);
+    assert.equal(question.when({ projectName: 'json', projectType: 'API', apiFramework: 'Python (FastAPI)' }), true);
+    assert.match(question.validate('json'), /would shadow the module/);
+});
+
+test('--private and --public cannot be combined', () => {
+    const cli = path.join(__dirname, '..', 'bin', 'smart-genesis.js');
+    const result = spawnSync(process.execPath, [cli, '--private', '--public', '--dry-run'], { encoding: 'utf-8', timeout: 30000 });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /option '--public' cannot be used with option '--private'/);
+});
+
+// Answers that cannot be scaffolded, and the error each is rejected with.
+const INVALID_ANSWERS = [
+    [{ projectType: 'Web App', includeBackend: false, repoStructure: 'Monorepo' }, 'repoStructure requires includeBackend, but the backend is disabled.'],
+    [{ projectType: 'Web App', includeBackend: false, backendFramework: 'Express' }, 'backendFramework requires includeBackend, but the backend is disabled.'],
+    [{ projectType: 'Web App', includeBackend: false, turborepo: true }, 'turborepo only applies to monorepos.'],
+    [{ projectType: 'Web App', repoStructure: 'Separate Repos', turborepo: false }, 'turborepo only applies to monorepos.'],
+    [{ projectType: 'API', cliLanguage: 'Node.js' }, 'cliLanguage only applies to CLI Tool projects, but projectType is "API".'],
+    [{ projectType: 'CLI Tool', frontendFramework: 'Next.js' }, 'frontendFramework only applies to Web App projects, but projectType is "CLI Tool".'],
+    [{ projectType: 'API', apiFramework: 'Express', pythonTool: 'uv' }, 'pythonTool only applies to Python stacks (Django, Flask, FastAPI or a Python CLI).'],
+    [{ projectType: 'CLI Tool', cliLanguage: 'Node.js', containerize: true }, 'containerize only applies to Web App and API projects.'],
+    [{ projectType: 'CLI Tool', cliLanguage: 'Node.js', database: 'PostgreSQL' }, 'database only applies to projects with a backend.'],
+    [{ projectName: ' ', projectType: 'CLI Tool' }, 'projectName cannot be empty.'],
+    [{ createGit: false, license: 'MIT' }, 'license requires createGit, but repository creation is disabled.']
+];
+
+test('validateAnswers rejects answers that cannot be scaffolded', () => {
+    for (const [preset, error] of INVALID_ANSWERS) {
+        const { answers, errors } = normalizeAnswers(preset);
+        assert.deepEqual(errors, [], JSON.stringify(preset));
+        assert.ok(validateAnswers(answers).includes(error), `${JSON.stringify(preset)} is rejected with: ${error}`);
+    }
+});
+
+// Preset values that are not a choice of their question.
+const INVALID_CHOICES = [
+    [{ projectType: 'Desktop' }, 'Invalid projectType "Desktop". Expected one of: Web App, API, CLI Tool.'],
+    [{ cliLanguage: 'cobol' }, 'Invalid cliLanguage "cobol". Expected one of: Node.js, Bash, Python.'],
+    [{ pythonTool: 'conda' }, /^Invalid pythonTool "conda"\. Expected one of: /],
+    [{ backendFramework: 'Rails' }, /^Invalid backendFramework "Rails"\. Expected one of: .*Express/],
+    [{ includeBackend: 'maybe' }, 'Invalid includeBackend "maybe". Expected true or false.'],
+    [{ color: 'red' }, 'Unknown option "color".']
+];
+
+test('normalizeAnswers rejects unknown options and values that are not a choice', () => {
+    for (const [preset, error] of INVALID_CHOICES) {
+        const { errors } = normalizeAnswers(preset);
+        assert.equal(errors.length, 1, JSON.stringify(preset));
+        if (typeof error === 'string') {
+            assert.equal(errors[0], error);
+        } else {
+            assert.match(errors[0], error);
+        }
+    }
+});
+
+test('normalizeAnswers maps loose spellings to the choices and implies what they require', () => {
+    const { answers, errors } = normalizeAnswers({ projectType: 'web-app', backendFramework: 'express', repoStructure: 'separate', license: 'mit' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(answers, { projectType: 'Web App', backendFramework: 'Express', repoStructure: 'Separate Repos', license: 'MIT', includeBackend: true, createGit: true });
+});
+
+test('parseArgs reads the answers file and lets flags override it', t => {
+    const dir = tempDir(t);
+    const yamlFile = path.join(dir, 'answers.yml');
+    fs.writeFileSync(yamlFile, 'projectName: billing\nprojectType: API\napiFramework: Flask\ntemplateAnswers:\n  team: payments\n');
+    const jsonFile = path.join(dir, 'answers.json');
+    fs.writeJsonSync(jsonFile, { projectName: 'billing', cliLanguage: 'Bash' });
+
+    const fromYaml = parseArgs(['node', 'smart-genesis', '--answers', yamlFile, '--project-name', 'ledger', '--yes']);
+    assert.deepEqual(fromYaml.answers, { projectName: 'ledger', projectType: 'API', apiFramework: 'Flask', templateAnswers: { team: 'payments' } });
+    assert.equal(fromYaml.yes, true);
+    assert.equal(fromYaml.answersFile, yamlFile);
+    assert.deepEqual(parseArgs(['node', 'smart-genesis', '--answers', jsonFile]).answers, { projectName: 'billing', cliLanguage: 'Bash' });
+});
+
+test('parseArgs rejects a missing answers file and one that is not an object', t => {
+    const dir = tempDir(t);
+    const listFile = path.join(dir, 'answers.yml');
+    fs.writeFileSync(listFile, '- projectName: billing\n');
+
+    assert.throws(() => parseArgs(['node', 'smart-genesis', '--answers', path.join(dir, 'missing.json')]), /^Error: Answers file not found: .*missing\.json$/);
+    assert.throws(() => parseArgs(['node', 'smart-genesis', '--answers', listFile]), /must contain an object of answers\./);
+});
+
+// `--yes` answers for partial presets: every question that still applies gets its default.
+const YES_DEFAULTS = [
+    [{}, { projectName: 'my-awesome-project', projectType: 'Web App', description: '', frontendFramework: 'Next.js', includeBackend: true, backendFramework: 'Nest.js', repoStructure: 'Monorepo', turborepo: false, packageManager: 'pnpm', database: 'None', containerize: false, ci: 'None', useTypeScript: true, createGit: false }],
+    [{ projectType: 'Web App', includeBackend: false }, { projectType: 'Web App', includeBackend: false, projectName: 'my-awesome-project', description: '', frontendFramework: 'Next.js', packageManager: 'pnpm', containerize: false, ci: 'None', useTypeScript: true, createGit: false }],
+    [{ projectType: 'API', apiFramework: 'Python (FastAPI)' }, { projectType: 'API', apiFramework: 'Python (FastAPI)', projectName: 'my-awesome-project', description: '', pythonTool: 'venv + pip', database: 'None', containerize: false, ci: 'None', createGit: false }],
+    [{ projectType: 'CLI Tool', cliLanguage: 'Bash', createGit: true }, { projectType: 'CLI Tool', cliLanguage: 'Bash', createGit: true, projectName: 'my-awesome-project', description: '', gitProvider: 'GitHub', repoVisibility: 'public', githubOrg: '', repoTopics: '', license: 'MIT', protectMain: false }]
+];
+
+test('--yes fills every question that applies with its default', t => {
+    // The default package manager is the one smart-genesis was started with.
+    const agent = process.env.npm_config_user_agent;
+    process.env.npm_config_user_agent = 'pnpm/9.1.0 npm/? node/v20.12.0 linux x64';
+    t.after(() => {
+        if (agent === undefined) {
+            delete process.env.npm_config_user_agent;
+        } else {
+            process.env.npm_config_user_agent = agent;
+        }
+    });
+    const questions = [...projectQuestions(), ...gitQuestions];
+
+    for (const [preset, expected] of YES_DEFAULTS) {
+        const answers = applyDefaults(questions, preset);
+        assert.deepEqual(answers, expected, JSON.stringify(preset));
+        assert.deepEqual(validateAnswers(answers), [], JSON.stringify(preset));
+    }
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { scaffold } = require('..');
+const { createExecutor, planSteps } = require('../lib/executor');
+const { tempDir, fakeExec, planText, matchSnapshot } = require('./helpers');
+
+// Answer sets covering the layouts: a monorepo, separate repositories, an API and CLI tools.
+const PLANS = {
+    'web-app-monorepo': {
+        projectName: 'shop',
+        projectType: 'Web App',
+        frontendFramework: 'Next.js',
+        useTypeScript: true,
+        includeBackend: true,
+        backendFramework: 'Nest.js',
+        repoStructure: 'Monorepo',
+        packageManager: 'pnpm',
+        turborepo: true,
+        containerize: true,
+        ci: 'GitHub Actions'
+    },
+    'web-app-separate-repos': {
+        projectName: 'shop',
+        projectType: 'Web App',
+        frontendFramework: 'Vite',
+        viteTemplate: 'vue-ts',
+        includeBackend: true,
+        backendFramework: 'Python (Flask)',
+        repoStructure: 'Separate Repos',
+        packageManager: 'npm',
+        pythonTool: 'venv + pip'
+    },
+    'api-fastapi-postgres': {
+        projectName: 'billing-api',
+        projectType: 'API',
+        apiFramework: 'Python (FastAPI)',
+        pythonTool: 'uv',
+        database: 'PostgreSQL',
+        containerize: true,
+        ci: 'GitLab CI'
+    },
+    'cli-node': { projectName: 'billing-tool', projectType: 'CLI Tool', cliLanguage: 'Node.js', packageManager: 'npm' },
+    'cli-bash': { projectName: 'billing-tool', projectType: 'CLI Tool', cliLanguage: 'Bash' }
+};
+
+function dryRun(cwd, answers, exec) {
+    return scaffold({ cwd, answers: { createGit: false, ...answers }, yes: true, dryRun: true, config: {}, exec });
+}
+
+for (const [name, answers] of Object.entries(PLANS)) {
+    test(`dry-run plan: ${name}`, async t => {
+        const cwd = tempDir(t);
+        const { exec, commands } = fakeExec();
+        const result = await dryRun(cwd, answers, exec);
+
+        assert.equal(result.dryRun, true);
+        assert.deepEqual(result.warnings, []);
+        assert.deepEqual(commands, [], 'a dry run executes no commands');
+        assert.deepEqual(fs.readdirSync(cwd), [], 'a dry run writes nothing');
+        matchSnapshot(name, planText(result.steps, cwd));
+    });
+}
+
+test('dry-run plans do not depend on the directory they are made in', async t => {
+    const [first, second] = [tempDir(t), tempDir(t)];
+    const plan = async cwd => planSteps((await dryRun(cwd, PLANS['web-app-monorepo'], fakeExec().exec)).steps, cwd);
+    assert.deepEqual(await plan(first), await plan(second));
+});
+
+test('the JSON plan has relative paths and the content of every written file', async t => {
+    const cwd = tempDir(t);
+    const result = await dryRun(cwd, PLANS['cli-node'], fakeExec().exec);
+    const steps = JSON.parse(JSON.stringify(planSteps(result.steps, cwd)));
+
+    assert.ok(steps.length > 0);
+    for (const step of steps) {
+        assert.ok(!(step.path || '').startsWith(cwd) && !(step.cwd || '').startsWith(cwd), `${step.type} step is relative`);
+    }
+    const packageJson = steps.find(step => step.type === 'write' && step.path === path.join('billing-tool', 'package.json'));
+    assert.equal(JSON.parse(packageJson.content).bin['billing-tool'], 'bin/cli.js');
+});
+
+test('planSteps makes paths relative and turns buffers into text', () => {
+    const executor = createExecutor({ dryRun: true, silent: true });
+    executor.ensureDir('/work/app');
+    executor.writeFile('/work/app/logo.txt', Buffer.from('logo'));
+    executor.updateJson('/work/app/package.json', pkg => pkg);
+    executor.run('npm install', '/work/app');
+
+    assert.deepEqual(planSteps(executor.steps, '/work'), [
+        { type: 'mkdir', path: 'app' },
+        { type: 'write', path: path.join('app', 'logo.txt'), content: 'logo' },
+        { type: 'update', path: path.join('app', 'package.json') },
+        { type: 'command', command: 'npm install', cwd: 'app' }
+    ]);
+});
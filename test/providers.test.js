@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const { createExecutor } = require('../lib/executor');
+const { repoOptions, createRepository, licenseText } = require('../lib/providers');
+const { fakeHttp, httpError } = require('./helpers');
+
+const ANSWERS = { repoTopics: 'API, billing', license: 'GPL-3.0', repoVisibility: 'private', githubOrg: 'acme' };
+const YEAR = String(new Date().getFullYear());
+
+function setup(gitProvider, respond, flags = { apiUrl: 'https://git.acme.dev/' }) {
+    const { http, requests } = fakeHttp(respond);
+    const executor = createExecutor({ http, silent: true });
+    return { executor, requests, options: repoOptions({ ...ANSWERS, gitProvider }, flags, {}) };
+}
+
+const calls = requests => requests.map(config => `${config.method.toUpperCase()} ${config.url}`);
+
+// A GitLab project in the `acme` group of git.acme.dev.
+function gitlabProject(name) {
+    return { path: name, namespace: { full_path: 'acme' }, http_url_to_repo: `https://git.acme.dev/acme/${name}.git`, web_url: `https://git.acme.dev/acme/${name}` };
+}
+
+test('GitLab creates the project in the group of a self-hosted instance and sets its topics', async () => {
+    const { executor, requests, options } = setup('GitLab', config => {
+        if (config.url.endsWith('/namespaces/acme')) {
+            return { id: 42 };
+        }
+        return config.method === 'post' ? gitlabProject(config.data.path) : {};
+    });
+
+    const repo = await createRepository('billing', 'glpat', options, executor);
+
+    assert.deepEqual(repo, { owner: 'acme', name: 'billing', cloneUrl: 'https://git.acme.dev/acme/billing.git', htmlUrl: 'https://git.acme.dev/acme/billing' });
+    assert.deepEqual(calls(requests), [
+        'GET https://git.acme.dev/api/v4/namespaces/acme',
+        'POST https://git.acme.dev/api/v4/projects',
+        'PUT https://git.acme.dev/api/v4/projects/acme%2Fbilling'
+    ]);
+    assert.deepEqual(requests[1].data, { name: 'billing', path: 'billing', description: options.description, visibility: 'private', namespace_id: 42 });
+    assert.deepEqual(requests[2].data, { topics: ['api', 'billing'] });
+    assert.deepEqual(requests[1].headers, { Authorization: 'Bearer glpat' });
+});
+
+test('GitLab reuses a project whose name is taken when asked to', async () => {
+    const { executor, requests, options } = setup('GitLab', config => {
+        if (config.method === 'post') {
+            throw httpError(400, { message: { name: ['has already been taken'] } });
+        }
+        return config.url.endsWith('/namespaces/acme') ? { id: 42 } : gitlabProject('billing');
+    });
+    const asked = [];
+
+    const repo = await createRepository('billing', 'glpat', { ...options, topics: [] }, executor, async name => {
+        asked.push(name);
+        return { action: 'reuse' };
+    });
+
+    assert.deepEqual(asked, ['billing']);
+    assert.equal(repo.cloneUrl, 'https://git.acme.dev/acme/billing.git');
+    assert.equal(calls(requests).at(-1), 'GET https://git.acme.dev/api/v4/projects/acme%2Fbilling');
+});
+
+test('GitLab fills the license template with the year and the owner', async () => {
+    const { executor, requests, options } = setup('GitLab', () => ({ content: 'Copyright [yyyy] [name of copyright owner]\n' }));
+
+    const text = await licenseText({ owner: 'acme', name: 'billing' }, 'glpat', options, executor);
+
+    assert.equal(text, `Copyright ${YEAR} acme\n`);
+    assert.equal(requests[0].url, 'https://git.acme.dev/api/v4/templates/licenses/gpl-3.0');
+    assert.deepEqual(requests[0].params, { project: 'billing', fullname: 'acme' });
+});
+
+// A Gitea repository of the `acme` organization on git.acme.dev.
+function giteaRepo(name) {
+    return { name, owner: { login: 'acme' }, clone_url: `https://git.acme.dev/acme/${name}.git`, html_url: `https://git.acme.dev/acme/${name}` };
+}
+
+test('Gitea creates the repository in the organization of a self-hosted instance and sets its topics', async () => {
+    const { executor, requests, options } = setup('Gitea', config => (config.method === 'post' ? giteaRepo(config.data.name) : {}));
+
+    const repo = await createRepository('billing', 'gtoken', options, executor);
+
+    assert.deepEqual(repo, { owner: 'acme', name: 'billing', cloneUrl: 'https://git.acme.dev/acme/billing.git', htmlUrl: 'https://git.acme.dev/acme/billing' });
+    assert.deepEqual(calls(requests), [
+        'POST https://git.acme.dev/api/v1/orgs/acme/repos',
+        'PUT https://git.acme.dev/api/v1/repos/acme/billing/topics'
+    ]);
+    assert.deepEqual(requests[0].data, { name: 'billing', description: options.description, private: true });
+    assert.deepEqual(requests[1].data, { topics: ['api', 'billing'] });
+    assert.deepEqual(requests[0].headers, { Authorization: 'token gtoken' });
+});
+
+test('Gitea asks for another name when the name is taken', async () => {
+    const { executor, requests, options } = setup('Gitea', config => {
+        if (config.data.name === 'billing') {
+            throw httpError(409, { message: 'The repository with the same name already exists.' });
+        }
+        return giteaRepo(config.data.name);
+    });
+
+    const repo = await createRepository('billing', 'gtoken', { ...options, topics: [] }, executor, async () => ({ action: 'rename', name: 'billing-2' }));
+
+    assert.equal(repo.name, 'billing-2');
+    assert.deepEqual(requests.map(config => config.data.name), ['billing', 'billing-2']);
+});
+
+test('Gitea looks licenses up by SPDX identifier', async () => {
+    const { executor, requests, options } = setup('Gitea', () => ({ body: 'Copyright (C) <year> <copyright holders>\n' }));
+
+    const text = await licenseText({ owner: 'acme', name: 'billing' }, 'gtoken', options, executor);
+
+    assert.equal(text, `Copyright (C) ${YEAR} acme\n`);
+    assert.equal(requests[0].url, 'https://git.acme.dev/api/v1/licenses/GPL-3.0-only');
+});
+
+test('the API URL of each provider comes from the public instance, the environment or the config', t => {
+    const saved = { GITLAB_API_URL: process.env.GITLAB_API_URL, GITEA_API_URL: process.env.GITEA_API_URL };
+    delete process.env.GITLAB_API_URL;
+    t.after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+    });
+    assert.equal(repoOptions({ gitProvider: 'GitLab' }).apiUrl, 'https://gitlab.com/api/v4');
+    assert.equal(repoOptions({ gitProvider: 'GitLab' }, {}, { gitlabApiUrl: 'https://git.acme.dev/api/v4' }).apiUrl, 'https://git.acme.dev/api/v4');
+    process.env.GITEA_API_URL = 'https://code.acme.dev';
+    assert.equal(repoOptions({ gitProvider: 'Gitea' }).apiUrl, 'https://code.acme.dev/api/v1');
+});
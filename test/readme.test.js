@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const path = require('path');
+const { scaffold } = require('..');
+const { tempDir, fakeExec, matchSnapshot } = require('./helpers');
+
+// Answer sets covering the shapes the READMEs are rendered for: a monorepo and its apps, separate
+// repositories linking each other, an API with a database, a frontend alone and the CLI languages.
+const READMES = {
+    'web-app-monorepo': {
+        projectName: 'shop',
+        projectType: 'Web App',
+        frontendFramework: 'Next.js',
+        useTypeScript: true,
+        includeBackend: true,
+        backendFramework: 'Nest.js',
+        repoStructure: 'Monorepo',
+        packageManager: 'pnpm',
+        turborepo: true,
+        database: 'PostgreSQL',
+        containerize: true,
+        ci: 'GitHub Actions'
+    },
+    'web-app-separate-repos': {
+        projectName: 'shop',
+        projectType: 'Web App',
+        frontendFramework: 'Vite',
+        includeBackend: true,
+        backendFramework: 'Express',
+        repoStructure: 'Separate Repos',
+        packageManager: 'npm',
+        createGit: true,
+        gitProvider: 'GitHub',
+        license: 'MIT'
+    },
+    'web-app-frontend-only': {
+        projectName: 'shop',
+        projectType: 'Web App',
+        frontendFramework: 'SvelteKit',
+        useTypeScript: false,
+        includeBackend: false,
+        packageManager: 'yarn'
+    },
+    'api-django-postgres': {
+        projectName: 'billing-api',
+        projectType: 'API',
+        apiFramework: 'Python (Django)',
+        pythonTool: 'venv + pip',
+        database: 'PostgreSQL',
+        containerize: true,
+        ci: 'GitLab CI'
+    },
+    'cli-node': { projectName: 'billing-tool', projectType: 'CLI Tool', cliLanguage: 'Node.js', packageManager: 'npm' },
+    'cli-python': { projectName: 'billing-tool', projectType: 'CLI Tool', cliLanguage: 'Python', pythonTool: 'poetry', ci: 'GitHub Actions' },
+    'cli-bash': { projectName: 'billing-tool', projectType: 'CLI Tool', cliLanguage: 'Bash' }
+};
+
+// The READMEs a dry run writes, each under its path relative to `cwd`.
+function readmeText(steps, cwd) {
+    return steps
+        .filter(step => step.type === 'write' && path.basename(step.path) === 'README.md')
+        .map(step => `==> ${path.relative(cwd, step.path).split(path.sep).join('/')} <==\n${step.content}`)
+        .join('\n');
+}
+
+for (const [name, answers] of Object.entries(READMES)) {
+    test(`rendered READMEs: ${name}`, async t => {
+        const cwd = tempDir(t);
+        const result = await scaffold({ cwd, answers: { createGit: false, ...answers }, yes: true, dryRun: true, config: {}, token: 'test-token', exec: fakeExec().exec });
+        const text = readmeText(result.steps, cwd);
+
+        assert.deepEqual(result.warnings, []);
+        assert.doesNotMatch(text, /\{\{|\}\}|undefined|\[object Object\]/, 'every placeholder is rendered');
+        matchSnapshot(`readme-${name}`, text);
+    });
+}
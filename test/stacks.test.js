@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { loadStackPlugins, getStack } = require('../lib/stacks');
+const { tempDir } = require('./helpers');
+
+// A plugin package that registers a backend stack and counts how often it was loaded.
+function writePlugin(dir, name, stackName) {
+    fs.outputFileSync(path.join(dir, 'node_modules', name, 'index.js'), `
+let loads = 0;
+module.exports = ({ registerStack }) => {
+    loads += 1;
+    registerStack({ name: ${JSON.stringify(stackName)}, roles: ['backend'], loads });
+};
+`);
+    fs.outputJsonSync(path.join(dir, 'node_modules', name, 'package.json'), { name, main: 'index.js' });
+}
+
+test('stack plugins in the working directory are loaded once', t => {
+    const cwd = tempDir(t);
+    writePlugin(cwd, 'smart-genesis-stack-gin', 'Go (Gin)');
+
+    loadStackPlugins({}, cwd);
+    loadStackPlugins({}, cwd);
+
+    assert.equal(getStack('Go (Gin)').loads, 1);
+});
+
+test('stack plugins in parent directories are not loaded', t => {
+    const parent = tempDir(t);
+    const cwd = path.join(parent, 'work');
+    fs.ensureDirSync(cwd);
+    writePlugin(parent, 'smart-genesis-stack-echo', 'Go (Echo)');
+
+    loadStackPlugins({}, cwd);
+
+    assert.equal(getStack('Go (Echo)'), undefined);
+});
+
+test('stack plugins listed in the config are resolved from the working directory', t => {
+    const cwd = tempDir(t);
+    writePlugin(cwd, 'team-stacks', 'Go (Fiber)');
+
+    loadStackPlugins({ stackPlugins: ['team-stacks'] }, cwd);
+
+    assert.equal(getStack('Go (Fiber)').loads, 1);
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { loadTemplateSets, renderTemplateSets, resolveDestination } = require('../lib/templates');
+const { tempDir } = require('./helpers');
+
+// A template set in `dir` that writes `file` for every project type and stack.
+function templateSet(dir, file) {
+    fs.outputJsonSync(path.join(dir, 'template.json'), { name: 'team', files: [{ src: 'notes.md.hbs', dest: file }] });
+    fs.outputFileSync(path.join(dir, 'notes.md.hbs'), '# {{projectName}}\n');
+    return loadTemplateSets([dir]);
+}
+
+test('template files are rendered to paths inside the app', t => {
+    const sets = templateSet(tempDir(t), 'docs/{{projectName}}.md');
+    const files = renderTemplateSets(sets, { projectName: 'billing', cliLanguage: 'Node.js' }, 'cli-tool');
+    assert.deepEqual(files.map(file => file.path), [path.join('docs', 'billing.md')]);
+    assert.equal(resolveDestination('/work/billing', files[0]), path.resolve('/work/billing', 'docs', 'billing.md'));
+});
+
+test('template files that would be written outside the app are rejected', t => {
+    const context = { projectName: '../../x', cliLanguage: 'Node.js' };
+    assert.throws(() => renderTemplateSets(templateSet(tempDir(t), '../notes.md'), context, 'cli-tool'), /outside the project/);
+    assert.throws(() => renderTemplateSets(templateSet(tempDir(t), '{{projectName}}.md'), context, 'cli-tool'), /outside the project/);
+    assert.throws(() => resolveDestination('/work/billing', { path: '../x', template: 'team' }), /outside \/work\/billing/);
+});